@@ -0,0 +1,304 @@
+/**
+ * BatchRenderer Module
+ * Renders one video per data file with a shared configuration, on a
+ * headless canvas: data goes through DataLoader (parsing, mapping and
+ * validation) and the transforms, the configuration through ConfigManager
+ * defaults, and every frame is drawn by ChartRenderer and Animator as in
+ * the browser.
+ *
+ * Output file names come from a template with placeholders:
+ *   {name} data file name without extension, {index} position in the batch (1, 2, ...),
+ *   {title} chart title as a slug, {chart} chart type, {width}, {height}, {fps},
+ *   {format} output format, {ext} file extension, {date} today (YYYY-MM-DD)
+ * The same placeholders can be used in the chart title.
+ */
+
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { basename, dirname, extname } from 'node:path';
+import { DataLoader } from '../js/modules/DataLoader.js';
+import { ConfigManager } from '../js/modules/ConfigManager.js';
+import { ChartRenderer } from '../js/modules/ChartRenderer.js';
+import { Animator } from '../js/modules/Animator.js';
+import { OverlayRenderer } from '../js/modules/OverlayRenderer.js';
+import { GifEncoder } from '../js/modules/GifEncoder.js';
+import { ZipWriter } from '../js/modules/ZipWriter.js';
+import { ProjectFile } from '../js/modules/ProjectFile.js';
+import { FfmpegEncoder } from './FfmpegEncoder.js';
+import { HeadlessEnvironment } from './HeadlessEnvironment.js';
+
+/**
+ * File extension of each output format
+ */
+const EXTENSIONS = { mp4: 'mp4', webm: 'webm', gif: 'gif', png: 'zip' };
+
+export class BatchRenderer {
+    /**
+     * @param {Object} options - {template (output file names), ffmpegPath, typewriter, mapping ({labelKey, valueKey, periodKey}|null)}
+     */
+    constructor(options = {}) {
+        this.options = {
+            template: '{name}.{ext}',
+            ffmpegPath: 'ffmpeg',
+            typewriter: false,
+            mapping: null,
+            ...options
+        };
+
+        this.configManager = new ConfigManager();
+        this.cancelled = false;
+
+        HeadlessEnvironment.setup();
+    }
+
+    /**
+     * Load the shared configuration
+     * A project file is accepted too: its configuration, field mapping,
+     * typewriter setting and embedded fonts are used.
+     * @param {string} json - Configuration or project JSON
+     * @param {Object} overrides - Config values that take precedence (e.g. from command-line options)
+     * @returns {Array<string>} Warnings about settings the CLI does not render
+     */
+    loadConfig(json, overrides = {}) {
+        const value = JSON.parse(json);
+        const warnings = [];
+        let config = value;
+
+        if (ProjectFile.isProject(value)) {
+            config = value.config || {};
+            this.options.typewriter = this.options.typewriter || Boolean(value.typewriter);
+            this.options.mapping = this.options.mapping || value.data?.mapping || null;
+
+            (value.assets?.fonts || []).forEach(({ family, src }) => HeadlessEnvironment.registerFont(src, family));
+
+            if (value.scenes?.length > 0) {
+                warnings.push('the scenes of the project are ignored, every data file is one chart');
+            }
+            if (value.assets?.music) {
+                warnings.push('background music is not rendered, videos are silent');
+            }
+        }
+
+        this.configManager.importJSON(JSON.stringify({ ...config, ...overrides }));
+
+        if (this.configManager.getValue('audio').pops) {
+            warnings.push('pop sounds are not rendered, videos are silent');
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Register a font file under the configured font family
+     * @param {string} file - Font file path (TTF, OTF, WOFF2)
+     */
+    registerFont(file) {
+        const family = this.configManager.getValue('fontFamily');
+
+        if (!HeadlessEnvironment.registerFont(file, family)) {
+            throw new Error(`Font not loaded: ${file}`);
+        }
+    }
+
+    /**
+     * Get the file extension of the configured output format
+     * @returns {string} Extension without dot
+     */
+    getExtension() {
+        return EXTENSIONS[this.configManager.getValue('videoFormat')] || 'mp4';
+    }
+
+    /**
+     * Replace the placeholders of a template
+     * Unknown placeholders are left as they are.
+     * @param {string} template - Text with {placeholders}
+     * @param {Object} values - Placeholder values
+     * @returns {string} Expanded text
+     */
+    static expand(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) =>
+            values[key] !== undefined ? String(values[key]) : match
+        );
+    }
+
+    /**
+     * Get the placeholder values for one data file
+     * @param {string} file - Data file path
+     * @param {number} index - Position in the batch, starting at 1
+     * @param {string} chartType - Chart type the file is drawn with, the configured one if omitted
+     * @returns {Object} Placeholder values
+     */
+    getPlaceholders(file, index, chartType = null) {
+        const config = this.configManager.get();
+        const { width, height } = this.configManager.getResolution(config.resolution);
+        const values = {
+            name: basename(file, extname(file)),
+            index,
+            chart: chartType || config.chartType,
+            width,
+            height,
+            fps: config.fps,
+            format: config.videoFormat,
+            ext: this.getExtension(),
+            date: new Date().toISOString().slice(0, 10)
+        };
+
+        values.title = ProjectFile.slugify(BatchRenderer.expand(config.title, values)) || 'chart';
+
+        return values;
+    }
+
+    /**
+     * Render one data file
+     * @param {string} file - Data file path (JSON, CSV or TSV)
+     * @param {number} index - Position in the batch, starting at 1
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @returns {Promise<Object>} {output, frames}
+     */
+    async renderFile(file, index = 1, onProgress = null) {
+        const dataLoader = new DataLoader();
+        const content = await readFile(file, 'utf8');
+
+        try {
+            dataLoader.setRawData(dataLoader.parseContent(content, file), this.options.mapping);
+        } catch (error) {
+            throw new Error(`Errore nel parsing del file: ${error.message}`);
+        }
+
+        // Time-indexed data plays as a race, like in the editor
+        const chartType = dataLoader.getChartType(this.configManager.getValue('chartType'));
+        const placeholders = this.getPlaceholders(file, index, chartType);
+        const config = {
+            ...this.configManager.get(),
+            chartType,
+            title: BatchRenderer.expand(this.configManager.getValue('title'), placeholders)
+        };
+        const data = dataLoader.applyTransforms(config.transforms);
+        const output = BatchRenderer.expand(this.options.template, placeholders);
+
+        const { width, height } = this.configManager.getResolution(config.resolution);
+        const canvas = HeadlessEnvironment.createCanvas(width, height);
+
+        // Logos must be decoded before the first frame is laid out
+        await OverlayRenderer.loadImages(config.overlays);
+
+        const renderer = new ChartRenderer(canvas, config);
+        renderer.render(data);
+
+        const animator = new Animator(renderer, config.videoDuration, null, this.options.typewriter);
+        animator.createTimeline();
+
+        await mkdir(dirname(output) || '.', { recursive: true });
+
+        try {
+            const frames = config.videoFormat === 'gif' || config.videoFormat === 'png'
+                ? await this.recordImages(animator, canvas, config, output, onProgress)
+                : await this.recordVideo(animator, canvas, config, output, onProgress);
+
+            return { output, frames };
+        } finally {
+            animator.destroy();
+            renderer.destroy();
+        }
+    }
+
+    /**
+     * Render the frames into an MP4 or WebM file through ffmpeg
+     * @param {Animator} animator - Animator with a timeline already created
+     * @param {Canvas} canvas - Headless canvas the animator draws on
+     * @param {Object} config - Configuration
+     * @param {string} output - Output file path
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @returns {Promise<number>} Number of frames
+     */
+    async recordVideo(animator, canvas, config, output, onProgress) {
+        const { width, height } = canvas;
+        const context = canvas.getContext('2d');
+
+        const encoder = new FfmpegEncoder({
+            width,
+            height,
+            fps: config.fps,
+            format: config.videoFormat,
+            output,
+            ffmpegPath: this.options.ffmpegPath
+        });
+
+        try {
+            await encoder.start();
+
+            const frames = await animator.renderFrames(config.fps, () => {
+                this.checkCancelled();
+                return encoder.addFrame(context.getImageData(0, 0, width, height).data);
+            }, onProgress);
+
+            await encoder.finish();
+
+            return frames;
+        } catch (error) {
+            encoder.cancel();
+            await rm(output, { force: true });
+
+            // On Ctrl+C ffmpeg is interrupted too: report the cancellation, not the broken pipe
+            this.checkCancelled();
+            throw error;
+        }
+    }
+
+    /**
+     * Render the frames into an animated GIF or a ZIP of PNG files
+     * @param {Animator} animator - Animator with a timeline already created
+     * @param {Canvas} canvas - Headless canvas the animator draws on
+     * @param {Object} config - Configuration
+     * @param {string} output - Output file path
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @returns {Promise<number>} Number of frames
+     */
+    async recordImages(animator, canvas, config, output, onProgress) {
+        const { width, height } = canvas;
+        const context = canvas.getContext('2d');
+        let writer;
+        let addFrame;
+
+        if (config.videoFormat === 'gif') {
+            writer = new GifEncoder(width, height, {
+                fps: config.gifFps,
+                loop: config.gifLoop,
+                dither: config.gifDither
+            });
+            addFrame = () => writer.addFrame(context.getImageData(0, 0, width, height));
+        } else {
+            writer = new ZipWriter();
+            addFrame = async (frameIndex) => {
+                const png = await canvas.encode('png');
+                writer.addFile(`frame-${String(frameIndex).padStart(5, '0')}.png`, new Uint8Array(png));
+            };
+        }
+
+        const fps = config.videoFormat === 'gif' ? writer.options.fps : config.fps;
+        const frames = await animator.renderFrames(fps, (frameIndex) => {
+            this.checkCancelled();
+            return addFrame(frameIndex);
+        }, onProgress);
+
+        const blob = writer.finish();
+        await writeFile(output, new Uint8Array(await blob.arrayBuffer()));
+
+        return frames;
+    }
+
+    /**
+     * Stop the render in progress at the next frame (e.g. on Ctrl+C)
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Throw if the batch was cancelled
+     */
+    checkCancelled() {
+        if (this.cancelled) {
+            throw new Error('Rendering cancelled');
+        }
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * FfmpegEncoder Module
+ * Frame-exact video encoding for the CLI: raw RGBA frames are piped to an
+ * ffmpeg process reading at a constant frame rate, so frame N lands at
+ * N / fps in the video however long it took to render.
+ * Same lifecycle as FrameEncoder (start, addFrame, finish, cancel).
+ */
+
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+
+/**
+ * Codec arguments for each container
+ */
+const CODECS = {
+    mp4: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'],
+    webm: ['-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p']
+};
+
+export class FfmpegEncoder {
+    /**
+     * @param {Object} options - {width, height, fps, format ('mp4'|'webm'), output (file path), ffmpegPath, videoBitsPerSecond}
+     */
+    constructor(options = {}) {
+        this.options = {
+            fps: 30,
+            format: 'mp4',
+            ffmpegPath: 'ffmpeg',
+            videoBitsPerSecond: 5000000, // 5 Mbps
+            ...options
+        };
+
+        this.process = null;
+        this.exit = null;
+        this.stderr = '';
+    }
+
+    /**
+     * Start ffmpeg, waiting for frames on its standard input
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const { width, height, fps, format, output, ffmpegPath, videoBitsPerSecond } = this.options;
+
+        if (!CODECS[format]) {
+            throw new Error(`Unsupported video format: ${format}`);
+        }
+
+        const args = [
+            '-y', '-loglevel', 'error',
+            '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${width}x${height}`, '-framerate', String(fps),
+            '-i', '-',
+            ...CODECS[format],
+            '-b:v', String(videoBitsPerSecond),
+            '-an',
+            output
+        ];
+
+        this.process = spawn(ffmpegPath, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+        this.process.stderr.on('data', (chunk) => {
+            this.stderr = (this.stderr + chunk).slice(-2000);
+        });
+        // Write errors surface through the exit code
+        this.process.stdin.on('error', () => {});
+
+        this.exit = new Promise((resolve, reject) => {
+            this.process.on('error', (error) => {
+                reject(error.code === 'ENOENT'
+                    ? new Error(`ffmpeg not found (${ffmpegPath}): install it or pass --ffmpeg <path>`)
+                    : error);
+            });
+            this.process.on('close', (code) => resolve(code));
+        });
+
+        await Promise.race([once(this.process, 'spawn'), this.exit]);
+    }
+
+    /**
+     * Send the pixels of one frame
+     * @param {Uint8ClampedArray} pixels - RGBA pixels (ImageData.data), width × height × 4 bytes
+     * @returns {Promise<void>} Resolves when ffmpeg can accept more frames
+     */
+    async addFrame(pixels) {
+        const stdin = this.process.stdin;
+
+        if (!stdin.write(Buffer.from(pixels.buffer, pixels.byteOffset, pixels.byteLength))) {
+            // Wait while ffmpeg catches up, to keep memory bounded
+            await Promise.race([once(stdin, 'drain'), this.exit.then((code) => {
+                throw new Error(`ffmpeg stopped before the last frame: ${this.stderr.trim() || `exit code ${code}`}`);
+            })]);
+        }
+    }
+
+    /**
+     * Close the input and wait for ffmpeg to write the file
+     * @returns {Promise<void>}
+     */
+    async finish() {
+        this.process.stdin.end();
+        this.checkExit(await this.exit);
+        this.process = null;
+    }
+
+    /**
+     * Throw the ffmpeg error if it did not exit cleanly
+     * @param {number} code - Exit code
+     */
+    checkExit(code) {
+        if (code !== 0) {
+            throw new Error(`ffmpeg failed: ${this.stderr.trim() || `exit code ${code}`}`);
+        }
+    }
+
+    /**
+     * Stop encoding and discard frames
+     */
+    cancel() {
+        if (this.process) {
+            this.process.stdin.destroy();
+            this.process.kill();
+            this.process = null;
+        }
+    }
+}
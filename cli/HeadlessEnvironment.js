@@ -0,0 +1,80 @@
+/**
+ * HeadlessEnvironment Module
+ * Prepares Node.js to run the browser modules without a page: Chart.js and
+ * GSAP are loaded from lib/ as globals, Image comes from @napi-rs/canvas
+ * (overlay logos), and the fonts declared in assets/fonts/fonts.css are
+ * registered so charts render with the same typeface as in the browser.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import { createCanvas, GlobalFonts, Image } from '@napi-rs/canvas';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+export class HeadlessEnvironment {
+    /**
+     * Install the globals used by ChartRenderer, Animator and OverlayRenderer
+     * Safe to call more than once.
+     */
+    static setup() {
+        if (globalThis.Chart && globalThis.gsap) {
+            return;
+        }
+
+        // The UMD builds attach to globalThis (Chart) and to a window object they create (gsap)
+        vm.runInThisContext(readFileSync(resolve(ROOT, 'lib/chart.min.js'), 'utf8'));
+        vm.runInThisContext(readFileSync(resolve(ROOT, 'lib/gsap.min.js'), 'utf8'));
+        globalThis.gsap = globalThis.window.gsap;
+
+        // Without window Chart.js uses its basic platform, which needs no DOM
+        delete globalThis.window;
+
+        globalThis.Image = Image;
+
+        HeadlessEnvironment.registerPageFonts();
+    }
+
+    /**
+     * Register the fonts of the @font-face rules in assets/fonts/fonts.css
+     */
+    static registerPageFonts() {
+        const css = readFileSync(resolve(ROOT, 'assets/fonts/fonts.css'), 'utf8');
+
+        for (const [rule] of css.matchAll(/@font-face\s*{[^}]*}/g)) {
+            const family = rule.match(/font-family:\s*["']?([^"';]+)["']?/);
+            const src = rule.match(/url\(\s*["']?([^"')]+)["']?\s*\)/);
+
+            if (family && src) {
+                HeadlessEnvironment.registerFont(resolve(ROOT, 'assets/fonts', src[1]), family[1].trim());
+            }
+        }
+    }
+
+    /**
+     * Register a font file or a font embedded in a project
+     * @param {string} src - File path or data URL
+     * @param {string} family - Font family name used by the configuration
+     * @returns {boolean} True if the font was registered
+     */
+    static registerFont(src, family) {
+        if (src.startsWith('data:')) {
+            const buffer = Buffer.from(src.slice(src.indexOf(',') + 1), 'base64');
+            return Boolean(GlobalFonts.register(buffer, family));
+        }
+
+        return Boolean(GlobalFonts.registerFromPath(src, family));
+    }
+
+    /**
+     * Create an offscreen canvas
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {Canvas} Canvas with the HTML canvas 2D API
+     */
+    static createCanvas(width, height) {
+        return createCanvas(width, height);
+    }
+}
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * VideoCharts command line
+ * Renders chart videos without a browser, one per data file, with a shared
+ * configuration (a config JSON or a project file saved by the app).
+ *
+ *   node cli/videocharts.js data/north.csv data/south.csv --config chart.json
+ *   node cli/videocharts.js data/ --config chart.json --output "out/{name}-{date}.{ext}"
+ */
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { BatchRenderer } from './BatchRenderer.js';
+
+const USAGE = `Usage: videocharts <data file or folder>... --config <file> [options]
+
+Options:
+  -c, --config <file>      Configuration JSON or project file (.videocharts.json)
+  -o, --output <template>  Output file name template (default "{name}.{ext}")
+                           Placeholders: {name} {index} {title} {chart} {width}
+                           {height} {fps} {format} {ext} {date}
+  -f, --format <format>    mp4, webm, gif or png (ZIP of PNG frames)
+  -r, --resolution <name>  480p, 720p, 1080p, vertical, square, portrait or WxH
+      --fps <number>       Frames per second
+  -d, --duration <secs>    Video duration in seconds
+  -t, --title <template>   Chart title, with the same placeholders as --output
+      --label <field>      Field with the category labels
+      --value <field>      Field with the values
+      --period <field>     Field with the periods (long-format time series)
+      --typewriter         Type the title letter by letter
+      --font <file>        Font file for the configured font family
+      --ffmpeg <path>      ffmpeg executable (default $FFMPEG_PATH or "ffmpeg")
+  -h, --help               Show this help
+`;
+
+/**
+ * Data file extensions picked from a folder
+ */
+const DATA_EXTENSIONS = ['.json', '.csv', '.tsv'];
+
+/**
+ * Expand the input paths: folders are replaced by the data files they contain
+ * @param {Array<string>} inputs - File and folder paths
+ * @returns {Promise<Array<string>>} Data file paths
+ */
+async function findDataFiles(inputs) {
+    const files = [];
+
+    for (const input of inputs) {
+        if ((await stat(input)).isDirectory()) {
+            const names = (await readdir(input))
+                .filter(name => DATA_EXTENSIONS.includes(extname(name).toLowerCase()))
+                .filter(name => !name.endsWith('.videocharts.json'))
+                .sort();
+            files.push(...names.map(name => join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Turn the command-line options into configuration values
+ * @param {Object} values - Parsed options
+ * @returns {Object} Config overrides
+ */
+function getOverrides(values) {
+    const overrides = {};
+
+    if (values.format) overrides.videoFormat = values.format;
+    if (values.fps) overrides.fps = Number(values.fps);
+    if (values.duration) overrides.videoDuration = Number(values.duration);
+    if (values.title) overrides.title = values.title;
+
+    if (values.resolution) {
+        const size = values.resolution.match(/^(\d+)x(\d+)$/);
+        if (size) {
+            overrides.resolution = 'custom';
+            overrides.customWidth = Number(size[1]);
+            overrides.customHeight = Number(size[2]);
+        } else {
+            overrides.resolution = values.resolution;
+        }
+    }
+
+    return overrides;
+}
+
+/**
+ * Write a progress line, redrawn in place on a terminal
+ * @param {string} text - Line text
+ */
+function printProgress(text) {
+    if (process.stderr.isTTY) {
+        process.stderr.write(`\r${text}\x1b[K`);
+    }
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            config: { type: 'string', short: 'c' },
+            output: { type: 'string', short: 'o', default: '{name}.{ext}' },
+            format: { type: 'string', short: 'f' },
+            resolution: { type: 'string', short: 'r' },
+            fps: { type: 'string' },
+            duration: { type: 'string', short: 'd' },
+            title: { type: 'string', short: 't' },
+            label: { type: 'string' },
+            value: { type: 'string' },
+            period: { type: 'string' },
+            typewriter: { type: 'boolean', default: false },
+            font: { type: 'string' },
+            ffmpeg: { type: 'string', default: process.env.FFMPEG_PATH || 'ffmpeg' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help || positionals.length === 0 || !values.config) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    if (values.format && !['mp4', 'webm', 'gif', 'png'].includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}": use mp4, webm, gif or png`);
+    }
+
+    const mapping = values.label || values.value
+        ? { labelKey: values.label || null, valueKey: values.value || null, ...(values.period && { periodKey: values.period }) }
+        : null;
+
+    const renderer = new BatchRenderer({
+        template: values.output,
+        ffmpegPath: values.ffmpeg,
+        typewriter: values.typewriter,
+        mapping
+    });
+
+    const warnings = renderer.loadConfig(await readFile(values.config, 'utf8'), getOverrides(values));
+    warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+
+    if (values.font) {
+        renderer.registerFont(values.font);
+    }
+
+    const files = await findDataFiles(positionals);
+    if (files.length === 0) {
+        throw new Error('No data files found (.json, .csv, .tsv)');
+    }
+
+    process.on('SIGINT', () => renderer.cancel());
+
+    let failed = 0;
+
+    for (const [i, file] of files.entries()) {
+        const prefix = `[${i + 1}/${files.length}] ${file}`;
+        const startTime = Date.now();
+
+        try {
+            const { output, frames } = await renderer.renderFile(file, i + 1, (progress) => {
+                printProgress(`${prefix} ${Math.round(progress)}%`);
+            });
+
+            printProgress('');
+            console.log(`${prefix} -> ${output} (${frames} frames, ${((Date.now() - startTime) / 1000).toFixed(1)}s)`);
+        } catch (error) {
+            printProgress('');
+            console.error(`${prefix} failed: ${error.message}`);
+            failed++;
+
+            if (renderer.cancelled) {
+                break;
+            }
+        }
+    }
+
+    if (failed > 0) {
+        console.error(`${failed} of ${files.length} files failed`);
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+main().then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (error) => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+);
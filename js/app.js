@@ -6,9 +6,15 @@
 import { DataLoader } from './modules/DataLoader.js';
 import { ChartRenderer } from './modules/ChartRenderer.js';
 import { VideoRecorder } from './modules/VideoRecorder.js';
-import { Animator } from './modules/Animator.js';
 import { ConfigManager } from './modules/ConfigManager.js';
 import { DebugLogger } from './modules/DebugLogger.js';
+import { SceneSequencer } from './modules/SceneSequencer.js';
+import { OverlayRenderer } from './modules/OverlayRenderer.js';
+import { AudioMixer } from './modules/AudioMixer.js';
+import { ProjectFile } from './modules/ProjectFile.js';
+import { WorkspaceStore } from './modules/WorkspaceStore.js';
+import { VideoRenderer } from './modules/VideoRenderer.js';
+import { PreviewPlayer } from './modules/PreviewPlayer.js';
 
 class VideoChartsApp {
     constructor() {
@@ -17,12 +23,21 @@ class VideoChartsApp {
         this.configManager = new ConfigManager();
         this.debugLogger = new DebugLogger(false); // Start disabled
         this.chartRenderer = null;
+        this.previewPlayer = new PreviewPlayer((state) => this.updatePreviewControls(state));
         this.videoRecorder = null;
-        this.animator = null;
+        this.videoRenderer = null;
+        this.audioMixer = new AudioMixer(this.configManager.getValue('audio'));
+        this.workspaceStore = new WorkspaceStore();
 
         // State
         this.currentData = null;
         this.isGenerating = false;
+        this.scenes = [];
+        this.projectId = null; // recent project the workspace is saved as
+        this.editedData = null; // copy of the data in the data editor, may hold invalid cells
+        this.saveTimer = null;
+        this.isRestoring = false; // opening a saved project: no save until its music is loaded
+        this.renderWarnings = []; // warnings of the last generated video
 
         // DOM Elements
         this.elements = {
@@ -32,23 +47,107 @@ class VideoChartsApp {
             browseBtn: document.getElementById('browseBtn'),
             loadExampleBtn: document.getElementById('loadExampleBtn'),
 
+            // Workspace
+            sidebar: document.querySelector('.sidebar'),
+            persistWorkspace: document.getElementById('persistWorkspace'),
+            recentProjects: document.getElementById('recentProjects'),
+
             // Data info
             dataInfo: document.getElementById('dataInfo'),
             fileName: document.getElementById('fileName'),
             dataRows: document.getElementById('dataRows'),
+            dataPeriodsItem: document.getElementById('dataPeriodsItem'),
+            dataPeriods: document.getElementById('dataPeriods'),
+            dataFormatItem: document.getElementById('dataFormatItem'),
+            dataFormat: document.getElementById('dataFormat'),
+            dataColumnsItem: document.getElementById('dataColumnsItem'),
+            dataColumns: document.getElementById('dataColumns'),
+            fieldMapping: document.getElementById('fieldMapping'),
+            labelField: document.getElementById('labelField'),
+            valueField: document.getElementById('valueField'),
+            periodField: document.getElementById('periodField'),
+            periodColumns: document.getElementById('periodColumns'),
+
+            // Data editor
+            editDataBtn: document.getElementById('editDataBtn'),
+            dataEditor: document.getElementById('dataEditor'),
+            dataGrid: document.getElementById('dataGrid'),
+            dataErrors: document.getElementById('dataErrors'),
+            addDataRowBtn: document.getElementById('addDataRowBtn'),
+            exportJsonBtn: document.getElementById('exportJsonBtn'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
 
             // Configuration inputs
+            chartType: document.getElementById('chartType'),
             chartTitle: document.getElementById('chartTitle'),
+            overlayList: document.getElementById('overlayList'),
+            addTextOverlayBtn: document.getElementById('addTextOverlayBtn'),
+            addImageOverlayBtn: document.getElementById('addImageOverlayBtn'),
+            overlayImageInput: document.getElementById('overlayImageInput'),
+            sortOrder: document.getElementById('sortOrder'),
+            topN: document.getElementById('topN'),
+            groupOthers: document.getElementById('groupOthers'),
+            othersLabel: document.getElementById('othersLabel'),
             barColor: document.getElementById('barColor'),
             barColorHex: document.getElementById('barColorHex'),
             bgColor: document.getElementById('bgColor'),
             bgColorHex: document.getElementById('bgColorHex'),
+            textColor: document.getElementById('textColor'),
+            textColorHex: document.getElementById('textColorHex'),
+            palette: document.getElementById('palette'),
+            categoryColors: document.getElementById('categoryColors'),
+            resetCategoryColorsBtn: document.getElementById('resetCategoryColorsBtn'),
+            highlightLabels: document.getElementById('highlightLabels'),
+            highlightColor: document.getElementById('highlightColor'),
+            othersColor: document.getElementById('othersColor'),
+            entranceStyle: document.getElementById('entranceStyle'),
+            barsEasing: document.getElementById('barsEasing'),
+            stagger: document.getElementById('stagger'),
+            staggerValue: document.getElementById('staggerValue'),
+            phaseInputs: {
+                title: document.getElementById('phaseTitle'),
+                chart: document.getElementById('phaseChart'),
+                labels: document.getElementById('phaseLabels'),
+                hold: document.getElementById('phaseHold')
+            },
             fontSize: document.getElementById('fontSize'),
             fontSizeValue: document.getElementById('fontSizeValue'),
             videoDuration: document.getElementById('videoDuration'),
             durationValue: document.getElementById('durationValue'),
             typewriterEffect: document.getElementById('typewriterEffect'),
+            addMusicBtn: document.getElementById('addMusicBtn'),
+            removeMusicBtn: document.getElementById('removeMusicBtn'),
+            musicInput: document.getElementById('musicInput'),
+            musicName: document.getElementById('musicName'),
+            musicOptions: document.getElementById('musicOptions'),
+            musicTrimStart: document.getElementById('musicTrimStart'),
+            musicTrimEnd: document.getElementById('musicTrimEnd'),
+            musicFadeIn: document.getElementById('musicFadeIn'),
+            musicFadeOut: document.getElementById('musicFadeOut'),
+            musicVolume: document.getElementById('musicVolume'),
+            musicVolumeValue: document.getElementById('musicVolumeValue'),
+            popSounds: document.getElementById('popSounds'),
+            popOptions: document.getElementById('popOptions'),
+            popVolume: document.getElementById('popVolume'),
+            popVolumeValue: document.getElementById('popVolumeValue'),
+            numberPrefix: document.getElementById('numberPrefix'),
+            numberSuffix: document.getElementById('numberSuffix'),
+            numberLocale: document.getElementById('numberLocale'),
+            numberDecimals: document.getElementById('numberDecimals'),
+            numberCompact: document.getElementById('numberCompact'),
+            valueAnimation: document.getElementById('valueAnimation'),
+            valueLabelPositionGroup: document.getElementById('valueLabelPositionGroup'),
+            valueLabelFollowsTip: document.getElementById('valueLabelFollowsTip'),
             resolutionInputs: document.querySelectorAll('input[name="resolution"]'),
+            customResolution: document.getElementById('customResolution'),
+            customWidth: document.getElementById('customWidth'),
+            customHeight: document.getElementById('customHeight'),
+            renderModeInputs: document.querySelectorAll('input[name="renderMode"]'),
+            videoFormatInputs: document.querySelectorAll('input[name="videoFormat"]'),
+            gifOptions: document.getElementById('gifOptions'),
+            gifFps: document.getElementById('gifFps'),
+            gifLoop: document.getElementById('gifLoop'),
+            gifDither: document.getElementById('gifDither'),
 
             // Steps
             stepData: document.getElementById('step-data'),
@@ -59,6 +158,21 @@ class VideoChartsApp {
             previewContainer: document.getElementById('previewContainer'),
             previewCanvas: document.getElementById('previewCanvas'),
             refreshPreviewBtn: document.getElementById('refreshPreviewBtn'),
+            previewControls: document.getElementById('previewControls'),
+            previewPlayBtn: document.getElementById('previewPlayBtn'),
+            previewStepBackBtn: document.getElementById('previewStepBackBtn'),
+            previewStepForwardBtn: document.getElementById('previewStepForwardBtn'),
+            previewScrubber: document.getElementById('previewScrubber'),
+            previewTime: document.getElementById('previewTime'),
+            previewLoop: document.getElementById('previewLoop'),
+
+            // Scenes
+            sceneList: document.getElementById('sceneList'),
+            addChartSceneBtn: document.getElementById('addChartSceneBtn'),
+            addCardSceneBtn: document.getElementById('addCardSceneBtn'),
+
+            // Project
+            saveProjectBtn: document.getElementById('saveProjectBtn'),
 
             // Generate
             generateBtn: document.getElementById('generateBtn'),
@@ -66,10 +180,15 @@ class VideoChartsApp {
             progressFill: document.getElementById('progressFill'),
             progressText: document.getElementById('progressText'),
             progressPercent: document.getElementById('progressPercent'),
+            pauseGenerationBtn: document.getElementById('pauseGenerationBtn'),
+            cancelGenerationBtn: document.getElementById('cancelGenerationBtn'),
 
             // Video result
             videoResult: document.getElementById('videoResult'),
             resultVideo: document.getElementById('resultVideo'),
+            resultImage: document.getElementById('resultImage'),
+            resultInfo: document.getElementById('resultInfo'),
+            resultWarning: document.getElementById('resultWarning'),
             downloadBtn: document.getElementById('downloadBtn'),
 
             // Recording canvas
@@ -114,15 +233,49 @@ class VideoChartsApp {
         // Setup event listeners
         this.setupEventListeners();
 
+        // Saved workspace (opt-in)
+        this.elements.persistWorkspace.disabled = !WorkspaceStore.isSupported();
+        this.elements.persistWorkspace.checked = this.workspaceStore.isEnabled();
+        const restored = this.workspaceStore.isEnabled() ? this.restoreWorkspace() : Promise.resolve();
+
+        // Offline use and installation
+        this.registerServiceWorker();
+
+        // Files opened with the installed app (manifest file_handlers), after the saved workspace
+        if ('launchQueue' in window) {
+            window.launchQueue.setConsumer(async (launchParams) => {
+                const [handle] = launchParams.files;
+                if (handle) {
+                    await restored;
+                    this.handleFileLoad(await handle.getFile());
+                }
+            });
+        }
+
         console.log('VideoCharts Web initialized');
     }
 
+    /**
+     * Register the service worker that precaches the app for offline use (see sw.js)
+     * Skipped when the page is opened from the file system, where service workers are not allowed.
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+            return;
+        }
+
+        navigator.serviceWorker.register('sw.js').then(
+            (registration) => console.log(`Service worker registered (scope: ${registration.scope})`),
+            (error) => console.warn('Service worker not registered:', error)
+        );
+    }
+
     /**
      * Check browser compatibility
      */
     checkCompatibility() {
         const features = {
-            mediaRecorder: VideoRecorder.isSupported(),
+            videoRecording: VideoRecorder.isSupported() || VideoRecorder.isFrameRenderingSupported(),
             canvas: !!document.createElement('canvas').getContext,
             fileReader: 'FileReader' in window
         };
@@ -179,20 +332,157 @@ class VideoChartsApp {
             }
         });
 
+        // Paste: with the drop zone focused, or nothing focused (pastes into form fields are left alone)
+        document.addEventListener('paste', (e) => {
+            if (!this.elements.dropZone.contains(e.target) && e.target !== document.body) return;
+
+            e.preventDefault();
+
+            const file = e.clipboardData.files[0];
+            if (file) {
+                this.handleFileLoad(file);
+            } else {
+                this.handlePaste(e.clipboardData.getData('text/plain'));
+            }
+        });
+
         // Load example
         this.elements.loadExampleBtn.addEventListener('click', () => {
             this.loadExampleData();
         });
 
+        // Workspace: any edit in the sidebar schedules a save; data loads and scene edits
+        // schedule their own (see onDataLoaded, renderSceneList)
+        this.elements.persistWorkspace.addEventListener('change', (e) => {
+            this.setWorkspacePersistence(e.target.checked);
+        });
+
+        ['input', 'change', 'click'].forEach(type => {
+            this.elements.sidebar.addEventListener(type, () => this.scheduleWorkspaceSave());
+        });
+
+        // Field mapping
+        this.elements.labelField.addEventListener('change', () => {
+            this.handleFieldMappingChange();
+        });
+
+        this.elements.valueField.addEventListener('change', () => {
+            this.handleFieldMappingChange();
+        });
+
+        this.elements.periodField.addEventListener('change', () => {
+            this.handleFieldMappingChange();
+        });
+
+        this.elements.periodColumns.addEventListener('change', () => {
+            this.handleFieldMappingChange();
+        });
+
+        // Data editor
+        this.elements.editDataBtn.addEventListener('click', () => {
+            this.toggleDataEditor();
+        });
+
+        this.elements.addDataRowBtn.addEventListener('click', () => {
+            this.addDataRow();
+        });
+
+        this.elements.exportJsonBtn.addEventListener('click', () => {
+            this.exportData('json');
+        });
+
+        this.elements.exportCsvBtn.addEventListener('click', () => {
+            this.exportData('csv');
+        });
+
         // Configuration inputs
+        this.elements.chartType.addEventListener('change', (e) => {
+            this.configManager.setValue('chartType', e.target.value);
+            this.updatePreview();
+            this.updateCategoryColors();
+        });
+
         this.elements.chartTitle.addEventListener('input', (e) => {
             this.configManager.setValue('title', e.target.value);
             this.updatePreview();
         });
 
+        // Overlays
+        this.elements.addTextOverlayBtn.addEventListener('click', () => this.addTextOverlay());
+        this.elements.addImageOverlayBtn.addEventListener('click', () => {
+            this.elements.overlayImageInput.click();
+        });
+
+        this.elements.overlayImageInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.addImageOverlay(file);
+            }
+            e.target.value = '';
+        });
+
+        // Data transforms
+        [this.elements.sortOrder, this.elements.groupOthers].forEach(input => {
+            input.addEventListener('change', () => this.handleTransformsChange());
+        });
+
+        [this.elements.topN, this.elements.othersLabel].forEach(input => {
+            input.addEventListener('input', () => this.handleTransformsChange());
+        });
+
         // Color inputs with hex sync
         this.setupColorInput(this.elements.barColor, this.elements.barColorHex, 'barColor');
         this.setupColorInput(this.elements.bgColor, this.elements.bgColorHex, 'bgColor');
+        this.setupColorInput(this.elements.textColor, this.elements.textColorHex, 'textColor');
+
+        // Palette and per-category colors
+        this.elements.palette.addEventListener('change', (e) => {
+            this.configManager.setValue('palette', e.target.value);
+            this.updatePreview();
+            this.updateCategoryColors();
+        });
+
+        this.elements.resetCategoryColorsBtn.addEventListener('click', () => {
+            this.configManager.setValue('colorMap', {});
+            this.updatePreview();
+            this.updateCategoryColors();
+        });
+
+        // Highlight rules
+        this.elements.highlightLabels.addEventListener('input', () => this.handleHighlightChange());
+        [this.elements.highlightColor, this.elements.othersColor].forEach(input => {
+            input.addEventListener('input', () => this.handleHighlightChange());
+        });
+
+        // Number format
+        [this.elements.numberPrefix, this.elements.numberSuffix].forEach(input => {
+            input.addEventListener('input', () => this.handleNumberFormatChange());
+        });
+
+        [this.elements.numberLocale, this.elements.numberDecimals, this.elements.numberCompact].forEach(input => {
+            input.addEventListener('change', () => this.handleNumberFormatChange());
+        });
+
+        // Value label animation
+        this.elements.valueAnimation.addEventListener('change', (e) => {
+            this.configManager.setValue('valueAnimation', e.target.value);
+            this.elements.valueLabelPositionGroup.style.display = e.target.value === 'countUp' ? '' : 'none';
+            this.updatePreview();
+        });
+
+        this.elements.valueLabelFollowsTip.addEventListener('change', (e) => {
+            this.configManager.setValue('valueLabelPosition', e.target.checked ? 'tip' : 'end');
+            this.updatePreview();
+        });
+
+        // Animation spec
+        [this.elements.entranceStyle, this.elements.barsEasing].forEach(input => {
+            input.addEventListener('change', () => this.handleAnimationChange());
+        });
+
+        [this.elements.stagger, ...Object.values(this.elements.phaseInputs)].forEach(input => {
+            input.addEventListener('input', () => this.handleAnimationChange());
+        });
 
         // Font size
         this.elements.fontSize.addEventListener('input', (e) => {
@@ -207,25 +497,138 @@ class VideoChartsApp {
             const value = parseInt(e.target.value);
             this.elements.durationValue.textContent = `${value}s`;
             this.configManager.setValue('videoDuration', value);
+            this.updatePreview();
+        });
+
+        // Typewriter title
+        this.elements.typewriterEffect.addEventListener('change', () => {
+            this.updatePreview();
+        });
+
+        // Audio
+        this.elements.addMusicBtn.addEventListener('click', () => {
+            this.elements.musicInput.click();
+        });
+
+        this.elements.musicInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadMusic(file);
+            }
+            e.target.value = '';
+        });
+
+        this.elements.removeMusicBtn.addEventListener('click', () => {
+            this.audioMixer.clearMusic();
+            this.updateMusicInfo(null);
+        });
+
+        [
+            this.elements.musicTrimStart, this.elements.musicTrimEnd,
+            this.elements.musicFadeIn, this.elements.musicFadeOut,
+            this.elements.musicVolume, this.elements.popVolume
+        ].forEach(input => {
+            input.addEventListener('input', () => this.handleAudioChange());
         });
 
+        this.elements.popSounds.addEventListener('change', () => this.handleAudioChange());
+
         // Resolution
         this.elements.resolutionInputs.forEach(input => {
             input.addEventListener('change', (e) => {
                 this.configManager.setValue('resolution', e.target.value);
+                this.elements.customResolution.style.display = e.target.value === 'custom' ? 'flex' : 'none';
+                this.renderPreview();
+            });
+        });
+
+        [this.elements.customWidth, this.elements.customHeight].forEach(input => {
+            input.addEventListener('change', () => {
+                this.configManager.update({
+                    customWidth: parseInt(this.elements.customWidth.value),
+                    customHeight: parseInt(this.elements.customHeight.value)
+                });
+
+                // Show the size actually used
+                const { width, height } = this.configManager.getResolution('custom');
+                this.elements.customWidth.value = width;
+                this.elements.customHeight.value = height;
+
+                this.renderPreview();
+            });
+        });
+
+        // Render mode
+        this.elements.renderModeInputs.forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.configManager.setValue('renderMode', e.target.value);
+            });
+        });
+
+        // Video format
+        this.elements.videoFormatInputs.forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.configManager.setValue('videoFormat', e.target.value);
+                this.elements.gifOptions.style.display = e.target.value === 'gif' ? 'block' : 'none';
             });
         });
 
+        // GIF options
+        this.elements.gifFps.addEventListener('change', (e) => {
+            this.configManager.setValue('gifFps', parseInt(e.target.value));
+        });
+
+        this.elements.gifLoop.addEventListener('change', (e) => {
+            const value = Math.max(0, parseInt(e.target.value) || 0);
+            e.target.value = value;
+            this.configManager.setValue('gifLoop', value);
+        });
+
+        this.elements.gifDither.addEventListener('change', (e) => {
+            this.configManager.setValue('gifDither', e.target.checked);
+        });
+
         // Refresh preview
         this.elements.refreshPreviewBtn.addEventListener('click', () => {
             this.updatePreview();
         });
 
+        // Preview playback
+        this.elements.previewPlayBtn.addEventListener('click', () => {
+            this.previewPlayer.toggle();
+        });
+
+        this.elements.previewStepBackBtn.addEventListener('click', () => {
+            this.previewPlayer.step(-1);
+        });
+
+        this.elements.previewStepForwardBtn.addEventListener('click', () => {
+            this.previewPlayer.step(1);
+        });
+
+        this.elements.previewScrubber.addEventListener('input', (e) => {
+            this.previewPlayer.seek(parseInt(e.target.value) / 1000);
+        });
+
+        this.elements.previewLoop.addEventListener('change', (e) => {
+            this.previewPlayer.setLoop(e.target.checked);
+        });
+
         // Generate video
+        // Scenes
+        this.elements.addChartSceneBtn.addEventListener('click', () => this.addChartScene());
+        this.elements.addCardSceneBtn.addEventListener('click', () => this.addCardScene());
+
+        // Project
+        this.elements.saveProjectBtn.addEventListener('click', () => this.saveProject());
+
         this.elements.generateBtn.addEventListener('click', () => {
             this.generateVideo();
         });
 
+        this.elements.pauseGenerationBtn.addEventListener('click', () => this.togglePauseGeneration());
+        this.elements.cancelGenerationBtn.addEventListener('click', () => this.cancelGeneration());
+
         // Download video
         this.elements.downloadBtn.addEventListener('click', () => {
             if (this.videoRecorder) {
@@ -288,6 +691,7 @@ class VideoChartsApp {
             hexInput.value = color.toUpperCase();
             this.configManager.setValue(configKey, color);
             this.updatePreview();
+            this.updateCategoryColors();
         });
 
         hexInput.addEventListener('input', (e) => {
@@ -296,19 +700,51 @@ class VideoChartsApp {
                 colorInput.value = hex;
                 this.configManager.setValue(configKey, hex);
                 this.updatePreview();
+                this.updateCategoryColors();
             }
         });
     }
 
+    /**
+     * Load pasted text as data (spreadsheet cells, CSV or JSON)
+     * @param {string} text - Clipboard text
+     */
+    handlePaste(text) {
+        try {
+            if (this.debugLogger.isEnabled()) {
+                this.debugLogger.log('INFO', 'Loading pasted data', { length: text.length });
+            }
+
+            const data = this.dataLoader.loadFromText(text);
+            this.projectId = WorkspaceStore.createId();
+            this.onDataLoaded(data);
+        } catch (error) {
+            if (this.debugLogger.isEnabled()) {
+                this.debugLogger.log('ERROR', 'Failed to load pasted data', { error: error.message });
+            }
+            this.showError(error.message);
+        }
+    }
+
     /**
      * Handle file load
+     * Project files restore the whole editor, any other file is loaded as data
      */
     async handleFileLoad(file) {
         try {
             if (this.debugLogger.isEnabled()) {
                 this.debugLogger.log('INFO', 'Loading file', { filename: file.name, size: file.size });
             }
+
+            const project = await ProjectFile.read(file);
+            if (project) {
+                await this.loadProject(project);
+                this.projectId = WorkspaceStore.createId();
+                return;
+            }
+
             const data = await this.dataLoader.loadFromFile(file);
+            this.projectId = WorkspaceStore.createId();
             this.onDataLoaded(data);
         } catch (error) {
             if (this.debugLogger.isEnabled()) {
@@ -319,206 +755,1586 @@ class VideoChartsApp {
     }
 
     /**
-     * Load example data
+     * Download the current data, configuration, scenes and assets as a project file
      */
-    async loadExampleData() {
+    async saveProject() {
+        const data = this.dataLoader.toProject();
+        if (!data) return;
+
         try {
-            const data = await this.dataLoader.loadExample();
-            this.onDataLoaded(data);
+            const project = await ProjectFile.create({
+                data,
+                config: this.configManager.get(),
+                scenes: this.scenes,
+                typewriter: this.elements.typewriterEffect.checked,
+                music: this.audioMixer.musicFile
+            });
+
+            ProjectFile.download(project, ProjectFile.getFileName(this.configManager.getValue('title')));
         } catch (error) {
-            this.showError(error.message);
+            console.error('Error saving project:', error);
+            this.showError(`Impossibile salvare il progetto: ${error.message}`);
         }
     }
 
     /**
-     * Handle data loaded
+     * Restore a project: data, configuration, every form control, scenes, fonts and music
+     * @param {Object} project - Project from ProjectFile.read()
      */
-    onDataLoaded(data) {
-        this.currentData = data;
+    async loadProject(project) {
+        await ProjectFile.loadFonts(project.assets?.fonts);
+
+        this.configManager.importJSON(JSON.stringify(project.config));
+        this.scenes = Array.isArray(project.scenes) ? project.scenes : [];
+        this.elements.typewriterEffect.checked = Boolean(project.typewriter);
+
+        this.audioMixer.clearMusic();
+        this.audioMixer.updateSettings(this.configManager.getValue('audio'));
+        this.updateMusicInfo(null);
+
+        const music = project.assets?.music;
+        if (music?.src) {
+            try {
+                const file = await ProjectFile.toFile(music.src, music.name);
+                const buffer = await this.audioMixer.loadMusic(file);
+                this.updateMusicInfo(music.name, buffer.duration);
+            } catch (error) {
+                console.warn('Project music not loaded:', error);
+            }
+        }
 
-        // Update UI
-        const stats = this.dataLoader.getStats();
-        this.elements.fileName.textContent = this.dataLoader.getFileName();
-        this.elements.dataRows.textContent = stats.rowCount;
-        this.elements.dataInfo.style.display = 'block';
+        this.syncControls();
 
-        // Show configuration and generate steps
-        this.elements.stepConfig.style.display = 'block';
-        this.elements.stepGenerate.style.display = 'block';
-        this.elements.refreshPreviewBtn.style.display = 'inline-flex';
+        // Logos must be decoded before the preview lays them out
+        await OverlayRenderer.loadImages(this.configManager.getValue('overlays'));
 
-        // Render preview
-        this.renderPreview();
+        const data = this.dataLoader.loadFromProject(project.data);
+        this.onDataLoaded(data);
+
+        if (this.debugLogger.isEnabled()) {
+            this.debugLogger.log('INFO', 'Project loaded', { savedAt: project.savedAt, scenes: this.scenes.length });
+        }
     }
 
     /**
-     * Render preview
+     * Set every form control from the current configuration
+     * Used after loading a project, so the form shows what will be rendered.
      */
-    renderPreview() {
-        if (!this.currentData) return;
+    syncControls() {
+        const config = this.configManager.get();
+        const elements = this.elements;
+
+        // Select values missing from the options (e.g. a custom easing) get their own option
+        const setSelect = (select, value) => {
+            const text = String(value ?? '');
+            if (![...select.options].some(option => option.value === text)) {
+                const option = document.createElement('option');
+                option.value = text;
+                option.textContent = text;
+                select.appendChild(option);
+            }
+            select.value = text;
+        };
+        const setRadio = (inputs, value) => {
+            inputs.forEach(input => {
+                input.checked = input.value === value;
+            });
+        };
+        const setColor = (colorInput, hexInput, value) => {
+            colorInput.value = value;
+            hexInput.value = value.toUpperCase();
+        };
 
-        // Hide placeholder, show canvas
-        this.elements.previewContainer.querySelector('.preview-placeholder').style.display = 'none';
-        this.elements.previewCanvas.style.display = 'block';
+        setSelect(elements.chartType, config.chartType);
+        elements.chartTitle.value = config.title;
+
+        setSelect(elements.sortOrder, config.transforms.sort);
+        elements.topN.value = config.transforms.topN;
+        elements.groupOthers.checked = config.transforms.others;
+        elements.othersLabel.value = config.transforms.othersLabel;
+        elements.othersLabel.style.display = config.transforms.others ? '' : 'none';
+
+        setColor(elements.barColor, elements.barColorHex, config.barColor);
+        setColor(elements.bgColor, elements.bgColorHex, config.bgColor);
+        setColor(elements.textColor, elements.textColorHex, config.textColor);
+        setSelect(elements.palette, config.palette);
+        elements.highlightLabels.value = config.highlight.labels.join(', ');
+        elements.highlightColor.value = config.highlight.color;
+        elements.othersColor.value = config.highlight.othersColor;
+
+        elements.numberPrefix.value = config.numberFormat.prefix;
+        elements.numberSuffix.value = config.numberFormat.suffix;
+        setSelect(elements.numberLocale, config.numberFormat.locale);
+        setSelect(elements.numberDecimals, config.numberFormat.decimals ?? '');
+        elements.numberCompact.checked = config.numberFormat.compact;
+
+        setSelect(elements.valueAnimation, config.valueAnimation);
+        elements.valueLabelPositionGroup.style.display = config.valueAnimation === 'countUp' ? '' : 'none';
+        elements.valueLabelFollowsTip.checked = config.valueLabelPosition === 'tip';
+
+        const animation = ConfigManager.resolveAnimation(config.animation);
+        setSelect(elements.entranceStyle, animation.entrance);
+        setSelect(elements.barsEasing, animation.easing.bars);
+        elements.stagger.value = Math.round(animation.stagger * 100);
+        elements.staggerValue.textContent = `${elements.stagger.value}%`;
+        animation.phases.forEach(phase => {
+            const input = elements.phaseInputs[phase.name];
+            if (input) {
+                input.value = phase.duration;
+            }
+        });
 
-        // Setup preview canvas (smaller size for preview)
-        const previewWidth = 800;
-        const previewHeight = 450; // 16:9 aspect ratio
-        this.elements.previewCanvas.width = previewWidth;
-        this.elements.previewCanvas.height = previewHeight;
+        elements.fontSize.value = config.fontSize;
+        elements.fontSizeValue.textContent = `${config.fontSize}px`;
+        elements.videoDuration.value = config.videoDuration;
+        elements.durationValue.textContent = `${config.videoDuration}s`;
+
+        elements.musicTrimStart.value = config.audio.trimStart;
+        elements.musicTrimEnd.value = config.audio.trimEnd;
+        elements.musicFadeIn.value = config.audio.fadeIn;
+        elements.musicFadeOut.value = config.audio.fadeOut;
+        elements.musicVolume.value = Math.round(config.audio.volume * 100);
+        elements.musicVolumeValue.textContent = `${elements.musicVolume.value}%`;
+        elements.popSounds.checked = config.audio.pops;
+        elements.popVolume.value = Math.round(config.audio.popVolume * 100);
+        elements.popVolumeValue.textContent = `${elements.popVolume.value}%`;
+        elements.popOptions.style.display = config.audio.pops ? '' : 'none';
+
+        setRadio(elements.resolutionInputs, config.resolution);
+        elements.customResolution.style.display = config.resolution === 'custom' ? 'flex' : 'none';
+        elements.customWidth.value = config.customWidth;
+        elements.customHeight.value = config.customHeight;
+
+        setRadio(elements.renderModeInputs, config.renderMode);
+        setRadio(elements.videoFormatInputs, config.videoFormat);
+        elements.gifOptions.style.display = config.videoFormat === 'gif' ? 'block' : 'none';
+        setSelect(elements.gifFps, config.gifFps);
+        elements.gifLoop.value = config.gifLoop;
+        elements.gifDither.checked = config.gifDither;
+
+        this.renderOverlayList();
+        this.renderSceneList();
+    }
 
-        // Create chart renderer
-        if (this.chartRenderer) {
-            this.chartRenderer.destroy();
+    /**
+     * Turn workspace persistence on or off
+     * Turning it off deletes the saved workspace and the recent projects.
+     * @param {boolean} enabled - True to remember the work in this browser
+     */
+    async setWorkspacePersistence(enabled) {
+        try {
+            if (enabled) {
+                await this.workspaceStore.enable();
+                await this.saveWorkspace();
+            } else {
+                if (!confirm('Cancellare il lavoro salvato e i progetti recenti da questo browser?')) {
+                    this.elements.persistWorkspace.checked = true;
+                    return;
+                }
+                clearTimeout(this.saveTimer);
+                await this.workspaceStore.disable();
+            }
+        } catch (error) {
+            console.error('Workspace storage error:', error);
+            this.elements.persistWorkspace.checked = this.workspaceStore.isEnabled();
+            this.showError(`Salvataggio locale non disponibile: ${error.message}`);
         }
 
-        this.chartRenderer = new ChartRenderer(
-            this.elements.previewCanvas,
-            this.configManager.get()
-        );
-
-        // Render chart
-        this.chartRenderer.renderHorizontalBarChart(this.currentData);
+        this.renderRecentProjects();
     }
 
     /**
-     * Update preview with current config
+     * Save the workspace one second after the last edit
      */
-    updatePreview() {
-        if (!this.currentData) return;
+    scheduleWorkspaceSave() {
+        if (!this.workspaceStore.isEnabled()) return;
 
-        // Update renderer config
-        if (this.chartRenderer) {
-            this.chartRenderer.updateConfig(this.configManager.get());
-            this.chartRenderer.destroy();
-            this.chartRenderer.renderHorizontalBarChart(this.currentData);
-        }
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveWorkspace(), 1000);
     }
 
     /**
-     * Generate video
+     * Save the current project, music and last video, and update its recent project entry
      */
-    async generateVideo() {
-        if (this.isGenerating || !this.currentData) {
-            return;
-        }
+    async saveWorkspace() {
+        const data = this.dataLoader.toProject();
+        if (!this.workspaceStore.isEnabled() || !data || this.isGenerating || this.isRestoring) return;
 
-        this.isGenerating = true;
-        this.elements.generateBtn.disabled = true;
-        this.elements.progressContainer.style.display = 'block';
-        this.elements.videoResult.style.display = 'none';
-
-        // Start debug session if enabled
-        if (this.debugLogger.isEnabled()) {
-            this.debugLogger.startSession();
-            this.debugLogger.saveConfig(this.configManager.get());
-            this.debugLogger.saveData(this.currentData);
-            this.debugLogger.log('INFO', 'Video generation started');
+        try {
+            const project = await ProjectFile.create({
+                data,
+                config: this.configManager.get(),
+                scenes: this.scenes,
+                typewriter: this.elements.typewriterEffect.checked
+            });
+            const music = this.audioMixer.musicFile;
+            this.projectId = this.projectId || WorkspaceStore.createId();
+
+            await this.workspaceStore.saveWorkspace({
+                id: this.projectId,
+                project,
+                music,
+                video: this.videoRecorder?.getVideoBlob() || null
+            });
 
-            // Show debug panel
-            this.elements.debugPanel.style.display = 'block';
-            this.updateDebugUI();
+            await this.workspaceStore.saveRecent({
+                id: this.projectId,
+                title: this.configManager.getValue('title'),
+                thumbnail: this.createThumbnail(),
+                project,
+                music
+            });
 
-            // Start live log updates
-            this.startLiveLogUpdates();
+            this.renderRecentProjects();
+        } catch (error) {
+            console.warn('Workspace not saved:', error);
         }
+    }
 
+    /**
+     * Restore the workspace saved by the previous session
+     */
+    async restoreWorkspace() {
         try {
-            // Get resolution
-            const resolution = this.configManager.getResolution(
-                this.configManager.getValue('resolution')
-            );
-
-            // Setup recording canvas
-            this.elements.recordingCanvas.width = resolution.width;
-            this.elements.recordingCanvas.height = resolution.height;
-
-            // Create chart renderer for recording
-            const recordingRenderer = new ChartRenderer(
-                this.elements.recordingCanvas,
-                this.configManager.get()
-            );
-            recordingRenderer.renderHorizontalBarChart(this.currentData);
-
-            // Create animator
-            const duration = this.configManager.getValue('videoDuration');
-            const useTypewriter = this.elements.typewriterEffect.checked;
-            this.animator = new Animator(recordingRenderer, duration, this.debugLogger, useTypewriter);
-
-            // Create video recorder
-            this.videoRecorder = new VideoRecorder(this.elements.recordingCanvas, {
-                fps: this.configManager.getValue('fps')
-            });
+            const workspace = await this.workspaceStore.loadWorkspace();
 
-            // Update progress
-            this.updateProgress(0, 'Inizializzazione recording...');
+            if (workspace) {
+                await this.openSavedProject(workspace);
 
-            // Start recording
-            await this.videoRecorder.start();
+                if (workspace.video) {
+                    this.videoRecorder = new VideoRecorder(this.elements.recordingCanvas);
+                    this.videoRecorder.setVideoBlob(workspace.video);
+                    this.showVideoResult();
+                }
+            }
+        } catch (error) {
+            console.warn('Workspace not restored:', error);
+        }
 
-            this.updateProgress(10, 'Recording in corso...');
+        this.renderRecentProjects();
+    }
 
-            // Create and play animation timeline
-            const timeline = this.animator.createHorizontalBarChartTimeline(
-                (progress) => {
-                    // Update progress (10% to 90%)
-                    this.updateProgress(10 + (progress * 0.8), 'Rendering animazione...');
-                },
-                async () => {
-                    // Animation complete
-                    this.updateProgress(90, 'Finalizzazione video...');
+    /**
+     * Open a project saved in the browser, with its music
+     * @param {Object} saved - Workspace or recent project {id, project, music}
+     */
+    async openSavedProject(saved) {
+        this.isRestoring = true;
 
-                    if (this.debugLogger.isEnabled()) {
-                        this.debugLogger.log('ANIMATION', 'Animation complete, stopping recorder');
-                    }
+        try {
+            await this.loadProject(saved.project);
+            this.projectId = saved.id;
 
-                    // Stop recording
-                    await this.videoRecorder.stop();
+            if (saved.music) {
+                await this.loadMusic(saved.music);
+            }
+        } finally {
+            this.isRestoring = false;
+        }
 
-                    this.updateProgress(100, 'Completato!');
+        this.scheduleWorkspaceSave();
+    }
 
-                    if (this.debugLogger.isEnabled()) {
-                        this.debugLogger.log('INFO', 'Video generation complete');
-                        this.debugLogger.addMetadata('videoSize', this.videoRecorder.getVideoBlob().size);
-                        this.stopLiveLogUpdates();
+    /**
+     * Get a small JPEG of the preview, for the recent projects list
+     * @returns {string} Data URL, empty if there is no preview
+     */
+    createThumbnail() {
+        const source = this.elements.previewCanvas;
+        if (!this.currentData || !source.width) return '';
 
-                        // Final update
-                        this.updateDebugUI();
-                        this.updateLiveLogs();
-                    }
+        const canvas = document.createElement('canvas');
+        canvas.width = 160;
+        canvas.height = Math.round(160 * source.height / source.width);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
 
-                    // Show result
-                    this.showVideoResult();
+        return canvas.toDataURL('image/jpeg', 0.7);
+    }
 
-                    // Cleanup
-                    recordingRenderer.destroy();
-                    this.animator.destroy();
+    /**
+     * Rebuild the recent projects list: thumbnail, title and date, open or remove
+     */
+    async renderRecentProjects() {
+        const list = this.elements.recentProjects;
+        const entries = this.workspaceStore.isEnabled() ? await this.workspaceStore.getRecent().catch(() => []) : [];
+
+        list.innerHTML = '';
+        list.style.display = entries.length > 0 ? '' : 'none';
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'recent-project';
+            item.classList.toggle('active', entry.id === this.projectId);
+
+            const open = document.createElement('button');
+            open.className = 'recent-project-open';
+            open.title = 'Apri il progetto';
+            open.addEventListener('click', () => this.openRecentProject(entry.id));
+
+            const thumbnail = document.createElement(entry.thumbnail ? 'img' : 'span');
+            thumbnail.className = 'recent-project-thumbnail';
+            if (entry.thumbnail) {
+                thumbnail.src = entry.thumbnail;
+                thumbnail.alt = '';
+            }
 
-                    this.isGenerating = false;
-                    this.elements.generateBtn.disabled = false;
-                }
-            );
+            const name = document.createElement('span');
+            name.className = 'recent-project-name';
+            name.textContent = entry.title || 'Senza titolo';
 
-            // Play timeline
-            timeline.play();
+            const date = document.createElement('span');
+            date.className = 'recent-project-date';
+            date.textContent = new Date(entry.savedAt).toLocaleString();
 
-        } catch (error) {
-            console.error('Error generating video:', error);
+            open.append(thumbnail, name, date);
 
-            if (this.debugLogger.isEnabled()) {
-                this.debugLogger.log('ERROR', 'Video generation failed', { error: error.message, stack: error.stack });
-                this.stopLiveLogUpdates();
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-link';
+            remove.textContent = '✕';
+            remove.title = 'Rimuovi dai recenti';
+            remove.addEventListener('click', async () => {
+                await this.workspaceStore.removeRecent(entry.id);
+                if (entry.id === this.projectId) {
+                    this.projectId = WorkspaceStore.createId(); // keep saving, as a new entry
+                }
+                this.renderRecentProjects();
+            });
+
+            item.append(open, remove);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Replace the editor with a recent project
+     * @param {string} id - Project id
+     */
+    async openRecentProject(id) {
+        try {
+            const entry = await this.workspaceStore.getRecentProject(id);
+            if (!entry) {
+                throw new Error('progetto non trovato');
+            }
+
+            await this.openSavedProject(entry);
+            this.elements.videoResult.style.display = 'none';
+            this.videoRecorder = null;
+        } catch (error) {
+            this.showError(`Impossibile aprire il progetto: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load example data
+     */
+    async loadExampleData() {
+        try {
+            const data = await this.dataLoader.loadExample();
+            this.projectId = WorkspaceStore.createId();
+            this.onDataLoaded(data);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle field mapping change
+     */
+    handleFieldMappingChange() {
+        const mapping = {
+            labelKey: this.elements.labelField.value,
+            valueKey: this.elements.valueField.value,
+            periodKey: this.elements.periodField.value || null
+        };
+
+        // Wide format: every numeric column is a period
+        if (this.elements.periodColumns.checked) {
+            mapping.valueKeys = this.dataLoader.getAvailableFields().valueFields
+                .filter(field => field !== mapping.labelKey);
+        }
+
+        try {
+            const data = this.dataLoader.setFieldMapping(mapping);
+            this.onDataLoaded(data);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Update field mapping selects from loaded data
+     */
+    updateFieldMapping() {
+        const mapping = this.dataLoader.getFieldMapping();
+        const { labelFields, valueFields } = this.dataLoader.getAvailableFields();
+
+        // Nothing to choose for normalized data or single-candidate files
+        if (!mapping || (labelFields.length < 2 && valueFields.length < 2 && !mapping.periodKey)) {
+            this.elements.fieldMapping.style.display = 'none';
+            return;
+        }
+
+        const fillSelect = (select, fields, selected) => {
+            select.innerHTML = '';
+            fields.forEach(field => {
+                const option = document.createElement('option');
+                option.value = field;
+                option.textContent = field || 'Nessuno';
+                option.selected = field === (selected || '');
+                select.appendChild(option);
+            });
+        };
+
+        const wide = !!mapping.valueKeys;
+
+        fillSelect(this.elements.labelField, labelFields, mapping.labelKey);
+        fillSelect(this.elements.valueField, valueFields, mapping.valueKey);
+        fillSelect(this.elements.periodField, ['', ...labelFields, ...valueFields], mapping.periodKey);
+        this.elements.periodColumns.checked = wide;
+        this.elements.valueField.disabled = wide;
+        this.elements.periodField.disabled = wide;
+        this.elements.fieldMapping.style.display = 'block';
+    }
+
+    /**
+     * Handle data loaded
+     * @param {Object} data - Normalized data
+     * @param {boolean} resetEditor - Reload the data editor (false when the data comes from it)
+     */
+    onDataLoaded(data, resetEditor = true) {
+        this.currentData = this.dataLoader.applyTransforms(this.configManager.getValue('transforms'));
+
+        // Time-indexed data defaults to the bar chart race, single periods can't race
+        const chartType = this.configManager.getValue('chartType');
+        const dataChartType = this.dataLoader.getChartType(chartType, data);
+        if (dataChartType !== chartType) {
+            this.setChartType(dataChartType);
+        }
+
+        // Update UI
+        this.elements.fileName.textContent = this.dataLoader.getFileName();
+        this.updateDataStats();
+        this.elements.dataPeriodsItem.style.display = this.dataLoader.isTimeIndexed(data) ? 'flex' : 'none';
+        this.updateParseInfo();
+        this.elements.dataInfo.style.display = 'block';
+        this.updateFieldMapping();
+
+        // Show configuration and generate steps
+        this.elements.stepConfig.style.display = 'block';
+        this.elements.stepGenerate.style.display = 'block';
+        this.elements.refreshPreviewBtn.style.display = 'inline-flex';
+
+        if (resetEditor) {
+            this.resetDataEditor();
+        }
+
+        // Render preview
+        this.renderPreview();
+        this.updateCategoryColors();
+
+        // Dropped and pasted data never go through the sidebar events
+        this.scheduleWorkspaceSave();
+    }
+
+    /**
+     * Show how the data was read: format, delimiter and decimal separator, and the
+     * header row of delimited text with the columns used for labels, values and periods
+     */
+    updateParseInfo() {
+        const info = this.dataLoader.getParseInfo();
+        const mapping = this.dataLoader.getFieldMapping();
+        const showColumns = Boolean(info?.columns && mapping);
+
+        this.elements.dataFormatItem.style.display = info ? 'flex' : 'none';
+        this.elements.dataColumnsItem.style.display = showColumns ? 'block' : 'none';
+
+        if (!info) return;
+
+        const delimiterNames = { '\t': 'tabulazione', ';': 'punto e virgola', ',': 'virgola' };
+        this.elements.dataFormat.textContent = info.format === 'json'
+            ? 'JSON'
+            : `${info.format.toUpperCase()}, separatore ${delimiterNames[info.delimiter]}, decimali "${info.decimalSeparator}"` +
+                (info.header ? '' : ', senza intestazione');
+
+        if (!showColumns) return;
+
+        const roles = {};
+        if (mapping.valueKeys) {
+            mapping.valueKeys.forEach(key => {
+                roles[key] = 'valori';
+            });
+        } else {
+            roles[mapping.valueKey] = 'valori';
+            if (mapping.periodKey) {
+                roles[mapping.periodKey] = 'periodo';
+            }
+        }
+        roles[mapping.labelKey] = 'etichette';
+
+        const list = this.elements.dataColumns;
+        list.innerHTML = '';
+        info.columns.forEach(column => {
+            const item = document.createElement('li');
+            item.textContent = roles[column] ? `${column} · ${roles[column]}` : column;
+            item.classList.toggle('used', Boolean(roles[column]));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show row and period counts, with the rows left after sorting and filtering
+     */
+    updateDataStats() {
+        const { raw, transformed } = this.dataLoader.getStats();
+
+        this.elements.dataRows.textContent = transformed.rowCount === raw.rowCount
+            ? raw.rowCount
+            : `${raw.rowCount} (${transformed.rowCount} nel grafico)`;
+        this.elements.dataPeriods.textContent = raw.seriesCount;
+    }
+
+    /**
+     * Show or hide the data editor
+     */
+    toggleDataEditor() {
+        const open = this.elements.dataEditor.style.display === 'none';
+
+        this.elements.dataEditor.style.display = open ? 'block' : 'none';
+        this.elements.editDataBtn.textContent = open ? 'Chiudi editor' : 'Modifica dati';
+        this.resetDataEditor();
+    }
+
+    /**
+     * Start editing a copy of the loaded data, dropping edits that were never valid
+     */
+    resetDataEditor() {
+        const data = this.dataLoader.getData();
+
+        this.editedData = data ? JSON.parse(JSON.stringify(data)) : null;
+        this.renderDataEditor();
+    }
+
+    /**
+     * Rebuild the data grid: one row per label, one value column per series (period)
+     */
+    renderDataEditor() {
+        const grid = this.elements.dataGrid;
+        grid.innerHTML = '';
+
+        if (!this.editedData || this.elements.dataEditor.style.display === 'none') return;
+
+        const { labels, series } = this.editedData;
+
+        // Numbers are written with the decimal separator of the loaded file, the one edits are read with
+        const decimalSeparator = this.dataLoader.getParseInfo()?.decimalSeparator || '.';
+
+        const createInput = (value, row, serie) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = typeof value === 'number' ? String(value).replace('.', decimalSeparator) : (value ?? '');
+            input.dataset.row = row;
+            input.dataset.serie = serie;
+            if (serie !== 'label') {
+                input.inputMode = 'decimal';
+            }
+            input.addEventListener('change', (e) => this.editDataCell(row, serie, e.target.value));
+            return input;
+        };
+
+        const header = grid.createTHead().insertRow();
+        ['Etichetta', ...series.map(serie => serie.name), ''].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        const body = grid.createTBody();
+
+        labels.forEach((label, row) => {
+            const line = body.insertRow();
+            line.insertCell().appendChild(createInput(label, row, 'label'));
+            series.forEach((serie, index) => {
+                line.insertCell().appendChild(createInput(serie.values[row], row, index));
+            });
+
+            const actions = [
+                { text: '↑', title: 'Sposta su', disabled: row === 0, onClick: () => this.moveDataRow(row, -1) },
+                { text: '↓', title: 'Sposta giù', disabled: row === labels.length - 1, onClick: () => this.moveDataRow(row, 1) },
+                { text: '✕', title: 'Elimina riga', disabled: false, onClick: () => this.removeDataRow(row) }
+            ];
+            const cell = line.insertCell();
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-link';
+                button.textContent = action.text;
+                button.title = action.title;
+                button.disabled = action.disabled;
+                button.addEventListener('click', action.onClick);
+                cell.appendChild(button);
+            });
+        });
+
+        this.showDataErrors(this.dataLoader.getValidationErrors(this.editedData, true));
+    }
+
+    /**
+     * Store the text typed in a grid cell and load the data if it is valid
+     * @param {number} row - Label index
+     * @param {number|string} serie - Series index, or 'label' for the label column
+     * @param {string} text - Cell text
+     */
+    editDataCell(row, serie, text) {
+        const cell = text.trim();
+
+        if (serie === 'label') {
+            this.renameDataLabel(row, cell);
+        } else {
+            // Read with the decimal separator of the loaded file ("1.234" is 1234 in Italian data);
+            // JSON and projects have none, so the cell itself decides.
+            // Text that is not a number is kept, so the cell shows it with its error
+            const decimalSeparator = this.dataLoader.getParseInfo()?.decimalSeparator ||
+                this.dataLoader.detectDecimalSeparator([cell]);
+            const number = this.dataLoader.parseNumber(cell, decimalSeparator);
+            this.editedData.series[serie].values[row] = number === null ? cell : number;
+        }
+
+        this.applyDataEdit();
+    }
+
+    /**
+     * Rename a category, moving the colors picked for it to the new name
+     * @param {number} row - Label index
+     * @param {string} label - New label
+     */
+    renameDataLabel(row, label) {
+        const previous = this.editedData.labels[row];
+        this.editedData.labels[row] = label;
+
+        // Keep the color while another row still has the old name
+        if (previous === label || this.editedData.labels.includes(previous)) return;
+
+        const moveColor = (colors) => {
+            if (!colors || !(previous in colors)) return colors;
+            const { [previous]: color, ...others } = colors;
+            return { ...others, [label]: color };
+        };
+
+        if (this.editedData.colors) {
+            this.editedData.colors = moveColor(this.editedData.colors);
+        }
+        this.configManager.setValue('colorMap', moveColor(this.configManager.getValue('colorMap')));
+    }
+
+    /**
+     * Add an empty row at the end of the grid
+     */
+    addDataRow() {
+        if (!this.editedData) return;
+
+        this.editedData.labels.push('');
+        this.editedData.series.forEach(serie => serie.values.push(null));
+        this.renderDataEditor();
+
+        const row = this.editedData.labels.length - 1;
+        this.elements.dataGrid.querySelector(`input[data-row="${row}"][data-serie="label"]`).focus();
+    }
+
+    /**
+     * Move a row up or down (its place in the chart with the file order)
+     * @param {number} index - Label index
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveDataRow(index, offset) {
+        const target = index + offset;
+        const swap = (list) => {
+            [list[index], list[target]] = [list[target], list[index]];
+        };
+
+        swap(this.editedData.labels);
+        this.editedData.series.forEach(serie => swap(serie.values));
+        this.renderDataEditor();
+        this.applyDataEdit();
+    }
+
+    /**
+     * Delete a row
+     * @param {number} index - Label index
+     */
+    removeDataRow(index) {
+        this.editedData.labels.splice(index, 1);
+        this.editedData.series.forEach(serie => serie.values.splice(index, 1));
+        this.renderDataEditor();
+        this.applyDataEdit();
+    }
+
+    /**
+     * Validate the edited data and load it when valid; otherwise the chart keeps the last valid data
+     */
+    applyDataEdit() {
+        const errors = this.dataLoader.getValidationErrors(this.editedData, true);
+        this.showDataErrors(errors);
+
+        if (errors.length > 0) return;
+
+        try {
+            const data = this.dataLoader.setRawData(JSON.parse(JSON.stringify(this.editedData)));
+            this.onDataLoaded(data, false);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Mark the invalid cells of the grid and list the first validation messages
+     * Exports are disabled until the data is valid, as they write the loaded data.
+     * @param {Array<Object>} errors - Errors from DataLoader.getValidationErrors()
+     */
+    showDataErrors(errors) {
+        const maxShown = 5;
+        const list = this.elements.dataErrors;
+
+        this.elements.dataGrid.querySelectorAll('input.invalid').forEach(input => {
+            input.classList.remove('invalid');
+            input.removeAttribute('title');
+        });
+
+        errors.forEach(error => {
+            const input = this.elements.dataGrid.querySelector(`input[data-row="${error.row}"][data-serie="${error.serie}"]`);
+            if (input) {
+                input.classList.add('invalid');
+                input.title = error.message;
+            }
+        });
+
+        list.innerHTML = '';
+        errors.slice(0, maxShown).forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error.message;
+            list.appendChild(item);
+        });
+        if (errors.length > maxShown) {
+            const item = document.createElement('li');
+            item.textContent = `...e altri ${errors.length - maxShown} errori`;
+            list.appendChild(item);
+        }
+
+        list.style.display = errors.length > 0 ? 'block' : 'none';
+        this.elements.exportJsonBtn.disabled = errors.length > 0;
+        this.elements.exportCsvBtn.disabled = errors.length > 0;
+    }
+
+    /**
+     * Download the loaded data as JSON or CSV, named after the data file
+     * @param {string} format - 'json' or 'csv'
+     */
+    exportData(format) {
+        const data = this.dataLoader.getData();
+        if (!data) return;
+
+        const blob = format === 'csv'
+            ? new Blob([this.dataLoader.toCSV(data)], { type: 'text/csv' })
+            : new Blob([this.dataLoader.toJSON(data)], { type: 'application/json' });
+        const name = (this.dataLoader.getFileName() || 'dati').replace(/\.[^.]+$/, '');
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = `${name}.${format}`;
+
+        document.body.appendChild(a);
+        a.click();
+
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+
+    /**
+     * Read the data transforms from the form and re-render with the transformed data
+     */
+    handleTransformsChange() {
+        const topN = parseInt(this.elements.topN.value);
+        const transforms = {
+            sort: this.elements.sortOrder.value,
+            topN: Number.isFinite(topN) && topN > 0 ? topN : 0,
+            others: this.elements.groupOthers.checked,
+            othersLabel: this.elements.othersLabel.value.trim() || 'Altri'
+        };
+
+        this.configManager.setValue('transforms', transforms);
+        this.elements.othersLabel.style.display = transforms.others ? '' : 'none';
+
+        if (!this.currentData) return;
+
+        this.currentData = this.dataLoader.applyTransforms(transforms);
+        this.updateDataStats();
+        this.updatePreview();
+        this.updateCategoryColors();
+    }
+
+    /**
+     * Decode an audio file as the background music
+     * @param {File} file - Audio file
+     */
+    async loadMusic(file) {
+        if (!AudioMixer.isSupported()) {
+            this.showError('Il browser non supporta Web Audio');
+            return;
+        }
+
+        try {
+            const music = await this.audioMixer.loadMusic(file);
+            this.updateMusicInfo(file.name, music.duration);
+        } catch (error) {
+            console.error('Error loading music:', error);
+            this.showError(`Impossibile caricare la musica: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the loaded music file and its options
+     * @param {string|null} name - File name, null when there is no music
+     * @param {number} duration - Music duration in seconds
+     */
+    updateMusicInfo(name, duration = 0) {
+        this.elements.musicName.textContent = name ? `${name} (${duration.toFixed(1)}s)` : '';
+        this.elements.musicOptions.style.display = name ? '' : 'none';
+        this.elements.removeMusicBtn.style.display = name ? '' : 'none';
+        this.elements.addMusicBtn.textContent = name ? 'Cambia musica' : '+ Musica';
+    }
+
+    /**
+     * Read trim, fades, volumes and pop sounds from the form into the audio settings
+     */
+    handleAudioChange() {
+        const seconds = (input) => Math.max(0, parseFloat(input.value) || 0);
+        const audio = {
+            trimStart: seconds(this.elements.musicTrimStart),
+            trimEnd: seconds(this.elements.musicTrimEnd),
+            fadeIn: seconds(this.elements.musicFadeIn),
+            fadeOut: seconds(this.elements.musicFadeOut),
+            volume: parseInt(this.elements.musicVolume.value) / 100,
+            pops: this.elements.popSounds.checked,
+            popVolume: parseInt(this.elements.popVolume.value) / 100
+        };
+
+        this.elements.musicVolumeValue.textContent = `${this.elements.musicVolume.value}%`;
+        this.elements.popVolumeValue.textContent = `${this.elements.popVolume.value}%`;
+        this.elements.popOptions.style.display = audio.pops ? '' : 'none';
+
+        this.configManager.setValue('audio', audio);
+        this.audioMixer.updateSettings(audio);
+    }
+
+    /**
+     * Render preview
+     */
+    renderPreview() {
+        if (!this.currentData) return;
+
+        // Hide placeholder, show canvas
+        this.elements.previewContainer.querySelector('.preview-placeholder').style.display = 'none';
+        this.elements.previewCanvas.style.display = 'block';
+
+        // Setup preview canvas: video aspect ratio, fitted in 800x640
+        const resolution = this.configManager.getResolution(
+            this.configManager.getValue('resolution')
+        );
+        const previewScale = Math.min(800 / resolution.width, 640 / resolution.height);
+        this.elements.previewCanvas.width = Math.round(resolution.width * previewScale);
+        this.elements.previewCanvas.height = Math.round(resolution.height * previewScale);
+
+        // Create chart renderer
+        if (this.chartRenderer) {
+            this.chartRenderer.destroy();
+        }
+
+        this.chartRenderer = new ChartRenderer(
+            this.elements.previewCanvas,
+            this.configManager.get()
+        );
+
+        // Render chart
+        this.chartRenderer.render(this.currentData);
+        this.loadPreviewAnimation();
+    }
+
+    /**
+     * Build the preview timeline on the chart just rendered
+     * The preview keeps its position and play state, so edits show up live.
+     */
+    loadPreviewAnimation() {
+        this.previewPlayer.load(this.chartRenderer, {
+            duration: this.configManager.getValue('videoDuration'),
+            typewriter: this.elements.typewriterEffect.checked,
+            fps: this.configManager.getValue('fps')
+        });
+        this.elements.previewControls.style.display = 'flex';
+    }
+
+    /**
+     * Show the preview playback state on its controls
+     * @param {Object} state - {time, duration, progress, playing}
+     */
+    updatePreviewControls({ time, duration, progress, playing }) {
+        const label = playing ? 'Pausa' : 'Riproduci';
+
+        this.elements.previewPlayBtn.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+        this.elements.previewPlayBtn.setAttribute('aria-label', label);
+        this.elements.previewPlayBtn.title = label;
+        this.elements.previewScrubber.value = Math.round(progress * 1000);
+        this.elements.previewTime.textContent = `${time.toFixed(1)} / ${duration.toFixed(1)}s`;
+    }
+
+    /**
+     * Read the number format from the form and refresh the preview
+     */
+    handleNumberFormatChange() {
+        const decimals = this.elements.numberDecimals.value;
+
+        this.configManager.setValue('numberFormat', {
+            prefix: this.elements.numberPrefix.value,
+            suffix: this.elements.numberSuffix.value,
+            locale: this.elements.numberLocale.value,
+            decimals: decimals === '' ? null : parseInt(decimals),
+            compact: this.elements.numberCompact.checked
+        });
+
+        this.updatePreview();
+    }
+
+    /**
+     * Read entrance style, easing, stagger and phase durations into the animation spec
+     * Phase order and the other easings keep their values, so a spec loaded from a
+     * configuration file is only changed where the form edits it.
+     */
+    handleAnimationChange() {
+        const animation = ConfigManager.resolveAnimation(this.configManager.getValue('animation'));
+        const stagger = parseInt(this.elements.stagger.value) / 100;
+
+        this.elements.staggerValue.textContent = `${this.elements.stagger.value}%`;
+
+        const phases = animation.phases.map(phase => {
+            const input = this.elements.phaseInputs[phase.name];
+            const duration = input ? parseFloat(input.value) : phase.duration;
+            return { ...phase, duration: Number.isFinite(duration) && duration >= 0 ? duration : 0 };
+        });
+
+        this.configManager.setValue('animation', {
+            ...animation,
+            phases,
+            stagger,
+            entrance: this.elements.entranceStyle.value,
+            easing: { ...animation.easing, bars: this.elements.barsEasing.value }
+        });
+
+        this.updatePreview();
+    }
+
+    /**
+     * Read the highlight rules from the form and refresh the preview
+     */
+    handleHighlightChange() {
+        this.configManager.setValue('highlight', {
+            labels: this.elements.highlightLabels.value.split(',').map(label => label.trim()).filter(Boolean),
+            color: this.elements.highlightColor.value,
+            othersColor: this.elements.othersColor.value
+        });
+
+        this.updatePreview();
+        this.updateCategoryColors();
+    }
+
+    /**
+     * Rebuild one color picker per category, showing the color each one resolves to
+     * Picking a color stores it in config.colorMap, which overrides the palette.
+     */
+    updateCategoryColors() {
+        const container = this.elements.categoryColors;
+        container.innerHTML = '';
+
+        if (!this.currentData || !this.chartRenderer) {
+            return;
+        }
+
+        this.currentData.labels.forEach(label => {
+            const row = document.createElement('label');
+            row.className = 'category-color-row';
+
+            const input = document.createElement('input');
+            input.type = 'color';
+            const color = this.chartRenderer.getLabelColor(label);
+            if (/^#[0-9a-f]{6}$/i.test(color)) {
+                input.value = color;
+            }
+            input.addEventListener('input', (e) => {
+                this.configManager.setValue('colorMap', {
+                    ...this.configManager.getValue('colorMap'),
+                    [label]: e.target.value.toUpperCase()
+                });
+                this.updatePreview();
+            });
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            row.append(input, name);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Add a text overlay (subtitle by default)
+     */
+    addTextOverlay() {
+        this.setOverlays([
+            ...this.configManager.getValue('overlays'),
+            ConfigManager.getDefaultOverlay('text')
+        ]);
+        this.renderOverlayList();
+    }
+
+    /**
+     * Add an image overlay (logo in the top right corner by default)
+     * The image is stored in the configuration as a data URL.
+     * @param {File} file - Image file
+     */
+    async addImageOverlay(file) {
+        try {
+            const src = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (e) => resolve(e.target.result);
+                reader.onerror = () => reject(new Error('Errore nella lettura del file'));
+                reader.readAsDataURL(file);
+            });
+            await OverlayRenderer.loadImage(src);
+
+            this.setOverlays([
+                ...this.configManager.getValue('overlays'),
+                { ...ConfigManager.getDefaultOverlay('image'), src, name: file.name }
+            ]);
+            this.renderOverlayList();
+        } catch (error) {
+            this.showError(`Impossibile caricare il logo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store the overlay list and refresh the preview
+     * @param {Array<Object>} overlays - Overlay list
+     */
+    setOverlays(overlays) {
+        this.configManager.setValue('overlays', overlays);
+        this.updatePreview();
+    }
+
+    /**
+     * Change some settings of one overlay
+     * @param {number} index - Overlay index
+     * @param {Object} changes - Overlay settings to change
+     */
+    updateOverlay(index, changes) {
+        this.setOverlays(this.configManager.getValue('overlays').map((overlay, i) =>
+            i === index ? { ...overlay, ...changes } : overlay
+        ));
+    }
+
+    /**
+     * Move an overlay up or down the list (its place in a stack)
+     * @param {number} index - Overlay index
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveOverlay(index, offset) {
+        const overlays = [...this.configManager.getValue('overlays')];
+        const target = index + offset;
+        if (target < 0 || target >= overlays.length) return;
+
+        [overlays[index], overlays[target]] = [overlays[target], overlays[index]];
+        this.setOverlays(overlays);
+        this.renderOverlayList();
+    }
+
+    /**
+     * Remove an overlay
+     * @param {number} index - Overlay index
+     */
+    removeOverlay(index) {
+        this.setOverlays(this.configManager.getValue('overlays').filter((overlay, i) => i !== index));
+        this.renderOverlayList();
+    }
+
+    /**
+     * Rebuild the overlay list: text or image, position, entrance, size, opacity and timing
+     */
+    renderOverlayList() {
+        const list = this.elements.overlayList;
+        list.innerHTML = '';
+
+        const positionNames = {
+            'subtitle': 'Sotto il titolo',
+            'top-left': 'In alto a sinistra',
+            'top-right': 'In alto a destra',
+            'center': 'Al centro',
+            'bottom-left': 'In basso a sinistra',
+            'bottom-center': 'In basso al centro',
+            'bottom-right': 'In basso a destra'
+        };
+
+        const entranceNames = {
+            none: 'Nessuna entrata',
+            fade: 'Dissolvenza',
+            slide: 'Scorrimento',
+            zoom: 'Zoom',
+            typewriter: 'Macchina da scrivere'
+        };
+
+        const createSelect = (options, value, title, onChange) => {
+            const select = document.createElement('select');
+            select.className = 'form-input';
+            select.title = title;
+            Object.entries(options).forEach(([key, text]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = text;
+                option.selected = key === value;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', (e) => onChange(e.target.value));
+            return select;
+        };
+
+        const createNumber = (value, min, max, step, title, onChange) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'form-input';
+            input.min = String(min);
+            input.max = String(max);
+            input.step = String(step);
+            input.value = value;
+            input.title = title;
+            input.addEventListener('change', (e) => {
+                const number = Math.min(max, Math.max(min, parseFloat(e.target.value) || 0));
+                e.target.value = number;
+                onChange(number);
+            });
+            return input;
+        };
+
+        const createRow = (...inputs) => {
+            const row = document.createElement('div');
+            row.className = 'number-format-row';
+            row.append(...inputs);
+            return row;
+        };
+
+        const overlays = this.configManager.getValue('overlays');
+
+        overlays.forEach((overlay, index) => {
+            const isImage = overlay.type === 'image';
+            const update = (changes) => this.updateOverlay(index, changes);
+
+            const item = document.createElement('li');
+            item.className = 'list-item';
+
+            const header = document.createElement('div');
+            header.className = 'list-item-header';
+
+            const name = document.createElement('span');
+            name.className = 'list-item-name';
+            name.textContent = `${index + 1}. ${isImage ? (overlay.name || 'Logo') : 'Testo'}`;
+            header.appendChild(name);
+
+            const actions = [
+                { text: '↑', title: 'Sposta su', disabled: index === 0, onClick: () => this.moveOverlay(index, -1) },
+                { text: '↓', title: 'Sposta giù', disabled: index === overlays.length - 1, onClick: () => this.moveOverlay(index, 1) },
+                { text: '✕', title: 'Rimuovi', disabled: false, onClick: () => this.removeOverlay(index) }
+            ];
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-link';
+                button.textContent = action.text;
+                button.title = action.title;
+                button.disabled = action.disabled;
+                button.addEventListener('click', action.onClick);
+                header.appendChild(button);
+            });
+            item.appendChild(header);
+
+            if (!isImage) {
+                const text = document.createElement('input');
+                text.type = 'text';
+                text.className = 'form-input';
+                text.placeholder = 'Es. Fonte: ISTAT 2024';
+                text.value = overlay.text;
+                text.addEventListener('input', (e) => update({ text: e.target.value }));
+                item.appendChild(text);
+            }
+
+            item.appendChild(createRow(
+                createSelect(positionNames, overlay.position, 'Posizione', (position) => update({ position })),
+                createSelect(entranceNames, overlay.entrance, 'Entrata', (entrance) => update({ entrance }))
+            ));
+
+            item.appendChild(createRow(
+                createNumber(overlay.size, 1, isImage ? 100 : 400, 1,
+                    isImage ? 'Larghezza (% del video)' : 'Dimensione (% del font)', (size) => update({ size })),
+                createNumber(Math.round(overlay.opacity * 100), 0, 100, 5, 'Opacità (%)',
+                    (opacity) => update({ opacity: opacity / 100 }))
+            ));
+
+            item.appendChild(createRow(
+                createNumber(overlay.start, 0, 60, 0.1, 'Inizio entrata (secondi)', (start) => update({ start })),
+                createNumber(overlay.duration, 0, 10, 0.1, 'Durata entrata (secondi)', (duration) => update({ duration }))
+            ));
+
+            if (!isImage) {
+                const row = document.createElement('label');
+                row.className = 'category-color-row';
+
+                const color = document.createElement('input');
+                color.type = 'color';
+                color.value = overlay.color || this.configManager.getValue('textColor');
+                color.addEventListener('input', (e) => update({ color: e.target.value.toUpperCase() }));
+
+                const hint = document.createElement('span');
+                hint.textContent = 'Colore';
+
+                row.append(color, hint);
+                item.appendChild(row);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Set chart type in config and form
+     * @param {string} chartType - Chart type id
+     */
+    setChartType(chartType) {
+        this.configManager.setValue('chartType', chartType);
+        this.elements.chartType.value = chartType;
+    }
+
+    /**
+     * Update preview with current config
+     */
+    updatePreview() {
+        if (!this.currentData) return;
+
+        // Update renderer config
+        if (this.chartRenderer) {
+            this.chartRenderer.updateConfig(this.configManager.get());
+            this.chartRenderer.destroy();
+            this.chartRenderer.render(this.currentData);
+            this.loadPreviewAnimation();
+        }
+    }
+
+    /**
+     * Add the current chart, with its data, configuration and duration, as a scene
+     */
+    addChartScene() {
+        if (!this.currentData) return;
+
+        this.scenes.push(SceneSequencer.createChartScene(
+            this.currentData,
+            this.configManager.get(),
+            this.configManager.getValue('videoDuration'),
+            this.elements.typewriterEffect.checked
+        ));
+        this.renderSceneList();
+        this.scheduleWorkspaceSave();
+    }
+
+    /**
+     * Add a title card scene (intro or closing slide)
+     */
+    addCardScene() {
+        this.scenes.push(SceneSequencer.createCardScene(this.configManager.getValue('title'), ''));
+        this.renderSceneList();
+        this.scheduleWorkspaceSave();
+    }
+
+    /**
+     * Rebuild the scene list: duration, transition, order and card texts of every scene
+     */
+    renderSceneList() {
+        const list = this.elements.sceneList;
+        list.innerHTML = '';
+
+        const transitionNames = {
+            cut: 'Stacco',
+            crossfade: 'Dissolvenza incrociata',
+            slide: 'Scorrimento',
+            wipe: 'Tendina'
+        };
+
+        this.scenes.forEach((scene, index) => {
+            const item = document.createElement('li');
+            item.className = 'list-item';
+
+            const header = document.createElement('div');
+            header.className = 'list-item-header';
+
+            const name = document.createElement('span');
+            name.className = 'list-item-name';
+            name.textContent = scene.type === 'card'
+                ? `${index + 1}. Cartello`
+                : `${index + 1}. ${scene.config.title || 'Grafico'}`;
+            header.appendChild(name);
+
+            const actions = [
+                { text: '↑', title: 'Sposta su', disabled: index === 0, onClick: () => this.moveScene(index, -1) },
+                { text: '↓', title: 'Sposta giù', disabled: index === this.scenes.length - 1, onClick: () => this.moveScene(index, 1) },
+                { text: '✕', title: 'Rimuovi', disabled: false, onClick: () => this.removeScene(index) }
+            ];
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-link';
+                button.textContent = action.text;
+                button.title = action.title;
+                button.disabled = action.disabled;
+                button.addEventListener('click', action.onClick);
+                header.appendChild(button);
+            });
+            item.appendChild(header);
+
+            if (scene.type === 'card') {
+                [['title', 'Titolo'], ['subtitle', 'Sottotitolo']].forEach(([key, placeholder]) => {
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.className = 'form-input';
+                    input.placeholder = placeholder;
+                    input.value = scene[key];
+                    input.addEventListener('input', (e) => {
+                        scene[key] = e.target.value;
+                        this.scheduleWorkspaceSave();
+                    });
+                    item.appendChild(input);
+                });
+            }
+
+            const row = document.createElement('div');
+            row.className = 'number-format-row';
+
+            const duration = document.createElement('input');
+            duration.type = 'number';
+            duration.className = 'form-input';
+            duration.min = '1';
+            duration.max = '60';
+            duration.value = scene.duration;
+            duration.title = 'Durata (secondi)';
+            duration.addEventListener('change', (e) => {
+                scene.duration = Math.min(60, Math.max(1, parseFloat(e.target.value) || scene.duration));
+                e.target.value = scene.duration;
+                this.scheduleWorkspaceSave();
+            });
+
+            const transition = document.createElement('select');
+            transition.className = 'form-input';
+            transition.title = 'Transizione in entrata';
+            transition.disabled = index === 0;
+            SceneSequencer.getTransitionTypes().forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = transitionNames[type];
+                option.selected = scene.transition.type === type;
+                transition.appendChild(option);
+            });
+            transition.addEventListener('change', (e) => {
+                scene.transition = { ...scene.transition, type: e.target.value };
+                this.scheduleWorkspaceSave();
+            });
+
+            row.append(duration, transition);
+            item.appendChild(row);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Move a scene up or down the list
+     * @param {number} index - Scene index
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveScene(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.scenes.length) return;
+
+        [this.scenes[index], this.scenes[target]] = [this.scenes[target], this.scenes[index]];
+        this.renderSceneList();
+        this.scheduleWorkspaceSave();
+    }
+
+    /**
+     * Remove a scene
+     * @param {number} index - Scene index
+     */
+    removeScene(index) {
+        this.scenes.splice(index, 1);
+        this.renderSceneList();
+        this.scheduleWorkspaceSave();
+    }
+
+    /**
+     * Generate video
+     */
+    async generateVideo() {
+        if (this.isGenerating || (!this.currentData && this.scenes.length === 0)) {
+            return;
+        }
+
+        this.isGenerating = true;
+        this.elements.generateBtn.disabled = true;
+        this.elements.progressContainer.style.display = 'block';
+        this.elements.videoResult.style.display = 'none';
+
+        // Start debug session if enabled
+        if (this.debugLogger.isEnabled()) {
+            this.debugLogger.startSession();
+            this.debugLogger.saveConfig(this.configManager.get());
+            this.debugLogger.saveData(this.currentData);
+            this.debugLogger.log('INFO', 'Video generation started');
+
+            // Show debug panel
+            this.elements.debugPanel.style.display = 'block';
+            this.updateDebugUI();
+
+            // Start live log updates
+            this.startLiveLogUpdates();
+        }
+
+        this.updateProgress(0, 'Inizializzazione rendering...');
+        this.elements.pauseGenerationBtn.textContent = 'Pausa';
+
+        // Leave the machine to the recording
+        this.previewPlayer.pause();
+
+        this.videoRenderer = new VideoRenderer({
+            canvas: this.elements.recordingCanvas,
+            audio: this.audioMixer,
+            debugLogger: this.debugLogger
+        });
+        this.videoRenderer.addEventListener('progress', (e) => this.handleRenderProgress(e.detail));
+        this.renderWarnings = [];
+        this.videoRenderer.addEventListener('warning', (e) => this.renderWarnings.push(e.detail.message));
+
+        try {
+            // With a scene list every scene is rendered, otherwise the current chart
+            await this.videoRenderer.render({
+                data: this.scenes.length > 0 ? null : this.dataLoader.getData(),
+                config: this.configManager.get(),
+                scenes: this.scenes,
+                typewriter: this.elements.typewriterEffect.checked
+            });
+
+            this.videoRecorder = this.videoRenderer.recorder;
+            this.updateProgress(100, 'Completato!');
+            this.finishGeneration();
+
+        } catch (error) {
+            const cancelled = error.name === 'AbortError';
+
+            if (cancelled) {
+                console.log('Video generation cancelled');
+            } else {
+                console.error('Error generating video:', error);
+            }
+
+            if (this.debugLogger.isEnabled()) {
+                if (cancelled) {
+                    this.debugLogger.log('INFO', 'Video generation cancelled');
+                } else {
+                    this.debugLogger.log('ERROR', 'Video generation failed', { error: error.message, stack: error.stack });
+                }
+                this.stopLiveLogUpdates();
                 this.updateDebugUI();
                 this.updateLiveLogs();
             }
 
-            this.showError(`Errore nella generazione del video: ${error.message}`);
             this.isGenerating = false;
             this.elements.generateBtn.disabled = false;
             this.elements.progressContainer.style.display = 'none';
+
+            if (!cancelled) {
+                this.showError(`Errore nella generazione del video: ${error.message}`);
+            } else if (this.videoRecorder?.getVideoBlob()) {
+                // Back to the previous video
+                this.showVideoResult();
+            }
         }
     }
 
+    /**
+     * Pause or resume the video generation in progress
+     */
+    togglePauseGeneration() {
+        if (!this.isGenerating || !this.videoRenderer) return;
+
+        if (this.videoRenderer.isPaused()) {
+            this.videoRenderer.resume();
+            this.elements.pauseGenerationBtn.textContent = 'Pausa';
+        } else {
+            this.videoRenderer.pause();
+            this.elements.pauseGenerationBtn.textContent = 'Riprendi';
+            this.elements.progressText.textContent = 'In pausa';
+        }
+    }
+
+    /**
+     * Stop the video generation in progress and discard what was recorded
+     */
+    cancelGeneration() {
+        if (!this.isGenerating || !this.videoRenderer) return;
+
+        this.elements.progressText.textContent = 'Annullamento...';
+        this.videoRenderer.cancel();
+    }
+
+    /**
+     * Show the progress reported by the video renderer
+     * @param {Object} detail - {percent, stage}, see VideoRenderer
+     */
+    handleRenderProgress({ percent, stage }) {
+        const stageNames = {
+            starting: 'Inizializzazione rendering...',
+            frames: 'Rendering frame per frame...',
+            gif: 'Codifica GIF...',
+            png: 'Esportazione frame PNG...',
+            recording: 'Rendering animazione...',
+            finalizing: 'Finalizzazione video...'
+        };
+
+        this.updateProgress(percent, stageNames[stage] || '');
+    }
+
+    /**
+     * Show the generated video
+     */
+    finishGeneration() {
+        if (this.debugLogger.isEnabled()) {
+            this.debugLogger.log('INFO', 'Video generation complete');
+            this.debugLogger.addMetadata('videoSize', this.videoRecorder.getVideoBlob().size);
+            this.stopLiveLogUpdates();
+
+            // Final update
+            this.updateDebugUI();
+            this.updateLiveLogs();
+        }
+
+        // Show result
+        this.showVideoResult();
+
+        // Keep the video in the saved workspace
+        this.scheduleWorkspaceSave();
+
+        this.isGenerating = false;
+        this.elements.generateBtn.disabled = false;
+    }
+
     /**
      * Update progress
      */
@@ -533,8 +2349,25 @@ class VideoChartsApp {
      */
     showVideoResult() {
         const videoURL = this.videoRecorder.getVideoURL();
+        const mimeType = this.videoRecorder.getVideoBlob().type;
+        const isVideo = mimeType.startsWith('video/');
+        const isImage = mimeType.startsWith('image/');
+
+        this.elements.resultVideo.style.display = isVideo ? 'block' : 'none';
+        this.elements.resultImage.style.display = isImage ? 'block' : 'none';
+        this.elements.resultInfo.style.display = isVideo || isImage ? 'none' : 'block';
+        this.elements.resultWarning.textContent = this.renderWarnings.join(' ');
+        this.elements.resultWarning.style.display = this.renderWarnings.length > 0 ? 'block' : 'none';
+
+        if (isVideo) {
+            this.elements.resultVideo.src = videoURL;
+        } else if (isImage) {
+            this.elements.resultImage.src = videoURL;
+        } else {
+            const sizeMB = (this.videoRecorder.getVideoBlob().size / 1024 / 1024).toFixed(2);
+            this.elements.resultInfo.textContent = `Archivio ZIP con i frame PNG pronto (${sizeMB} MB)`;
+        }
 
-        this.elements.resultVideo.src = videoURL;
         this.elements.videoResult.style.display = 'block';
         this.elements.progressContainer.style.display = 'none';
     }
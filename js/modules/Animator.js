@@ -1,8 +1,18 @@
 /**
  * Animator Module
  * Handles animation timeline using GSAP
+ *
+ * Phase durations, stagger, easings and the bar entrance style come from the
+ * animation spec in config.animation (see ConfigManager.getDefaultAnimation).
  */
 
+import { ConfigManager } from './ConfigManager.js';
+
+/**
+ * Largest share of a phase used to spread staggered starts
+ */
+const MAX_STAGGER = 0.8;
+
 export class Animator {
     constructor(chartRenderer, duration = 5, debugLogger = null, useTypewriter = false) {
         this.chartRenderer = chartRenderer;
@@ -15,6 +25,32 @@ export class Animator {
         this.frameCounter = 0;
         this.captureInterval = null;
         this.useTypewriter = useTypewriter;
+        this.drawFrame = null;
+        this.overlayStates = [];
+        this.audioCues = [];
+        this.animationSpec = ConfigManager.resolveAnimation(chartRenderer.config.animation);
+    }
+
+    /**
+     * Create the animation timeline for the chart type in config.chartType
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @param {Function} onComplete - Completion callback
+     * @returns {gsap.core.Timeline} GSAP timeline
+     */
+    createTimeline(onProgress = null, onComplete = null) {
+        switch (this.chartRenderer.config.chartType) {
+            case 'column':
+                return this.createVerticalBarChartTimeline(onProgress, onComplete);
+            case 'line':
+                return this.createLineChartTimeline(onProgress, onComplete);
+            case 'pie':
+            case 'donut':
+                return this.createPieChartTimeline(onProgress, onComplete);
+            case 'race':
+                return this.createBarChartRaceTimeline(onProgress, onComplete);
+            default:
+                return this.createHorizontalBarChartTimeline(onProgress, onComplete);
+        }
     }
 
     /**
@@ -24,6 +60,418 @@ export class Animator {
      * @returns {gsap.core.Timeline} GSAP timeline
      */
     createHorizontalBarChartTimeline(onProgress = null, onComplete = null) {
+        return this.createBarsTimeline(onProgress, onComplete);
+    }
+
+    /**
+     * Create and return animation timeline for vertical bar (column) chart
+     * Columns grow upward from the axis
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @param {Function} onComplete - Completion callback
+     * @returns {gsap.core.Timeline} GSAP timeline
+     */
+    createVerticalBarChartTimeline(onProgress = null, onComplete = null) {
+        return this.createBarsTimeline(onProgress, onComplete);
+    }
+
+    /**
+     * Create the timeline shared by horizontal and vertical bars
+     * redrawChart picks the bar orientation from config.chartType
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @param {Function} onComplete - Completion callback
+     * @returns {gsap.core.Timeline} GSAP timeline
+     */
+    createBarsTimeline(onProgress = null, onComplete = null) {
+        const chart = this.chartRenderer.getChart();
+        if (!chart) {
+            throw new Error('No chart available to animate');
+        }
+
+        this.createBaseTimeline(onProgress, onComplete);
+
+        const meta = chart.getDatasetMeta(0);
+        const bars = meta.data;
+
+        if (this.debugLogger?.isEnabled()) {
+            this.debugLogger.log('ANIMATION', 'Chart metadata loaded', {
+                barsCount: bars.length,
+                dataPoints: chart.data.datasets[0].data
+            });
+        }
+
+        const spec = this.animationSpec;
+        const phases = this.getPhaseTimings(spec.phases);
+
+        // Animation sequence (default spec):
+        // 1. Fade in title (0 - 20%)
+        // 2. Bars enter with stagger (20% - 60%); count-up labels grow with them
+        // 3. Fade in value labels (60% - 80%), unless they count up
+        // 4. Hold final state (80% - 100%)
+
+        // Initial state: hide everything
+        const titleElement = this.createTitleState();
+        const barsState = bars.map(() => ({ scale: 0 }));
+        const labelsState = { opacity: 0 };
+
+        const redraw = () => {
+            this.redrawChart(titleElement, barsState, labelsState);
+        };
+
+        // 1. Animate title (typewriter or fade in)
+        this.addTitleAnimation(titleElement, phases.title, redraw);
+
+        // 2. Animate bars, starts spread over the stagger share of the phase
+        bars.forEach((bar, index) => {
+            const timing = this.getStaggeredTiming(index, bars.length, phases.chart, spec.stagger);
+
+            this.timeline.to(barsState[index], {
+                scale: 1,
+                duration: timing.duration,
+                ease: spec.easing.bars,
+                onUpdate: redraw
+            }, timing.start);
+
+            // Pop sound when the bar finishes growing
+            this.audioCues.push(timing.start + timing.duration);
+        });
+
+        // 3. Fade in labels
+        this.addLabelsAnimation(labelsState, phases.labels, redraw);
+
+        // Overlays enter at their own times
+        this.addOverlayAnimations(redraw);
+
+        // 4. Hold final state
+        this.addHold(phases.hold);
+
+        this.setFrameRenderer(redraw);
+
+        return this.timeline;
+    }
+
+    /**
+     * Create and return animation timeline for a bar chart race
+     * Bars grow, re-sort and swap places as the period advances
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @param {Function} onComplete - Completion callback
+     * @returns {gsap.core.Timeline} GSAP timeline
+     */
+    createBarChartRaceTimeline(onProgress = null, onComplete = null) {
+        const data = this.chartRenderer.getData();
+        if (!this.chartRenderer.getChart() || !data) {
+            throw new Error('No chart available to animate');
+        }
+
+        this.createBaseTimeline(onProgress, onComplete);
+
+        const periodCount = data.series.length;
+
+        // Animation sequence (default spec):
+        // 1. Fade in title with the first period (0 - 10%)
+        // 2. Advance through periods (10% - 90%)
+        // 3. Hold final state (90% - 100%)
+        const phases = this.getPhaseTimings(this.animationSpec.racePhases);
+
+        const titleElement = this.createTitleState();
+        const raceState = { position: 0 };
+
+        const redraw = () => {
+            this.redrawChart(titleElement, null, null, raceState);
+        };
+
+        // 1. Animate title (typewriter or fade in)
+        this.addTitleAnimation(titleElement, phases.title, redraw);
+
+        // 2. Advance periods at constant speed, easing happens per step in drawRace
+        this.timeline.to(raceState, {
+            position: periodCount - 1,
+            duration: phases.chart.duration,
+            ease: 'none',
+            onUpdate: redraw
+        }, phases.chart.start);
+
+        // Overlays enter at their own times
+        this.addOverlayAnimations(redraw);
+
+        // 3. Hold final state
+        this.addHold(phases.hold);
+
+        this.setFrameRenderer(redraw);
+
+        return this.timeline;
+    }
+
+    /**
+     * Create and return animation timeline for line chart
+     * The line path draws itself from the first to the last point
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @param {Function} onComplete - Completion callback
+     * @returns {gsap.core.Timeline} GSAP timeline
+     */
+    createLineChartTimeline(onProgress = null, onComplete = null) {
+        if (!this.chartRenderer.getChart()) {
+            throw new Error('No chart available to animate');
+        }
+
+        this.createBaseTimeline(onProgress, onComplete);
+
+        // Same phases as the bar chart
+        const spec = this.animationSpec;
+        const phases = this.getPhaseTimings(spec.phases);
+
+        const titleElement = this.createTitleState();
+        const lineState = { progress: 0 };
+        const labelsState = { opacity: 0 };
+
+        const redraw = () => {
+            this.redrawChart(titleElement, null, labelsState, lineState);
+        };
+
+        this.addTitleAnimation(titleElement, phases.title, redraw);
+
+        this.timeline.to(lineState, {
+            progress: 1,
+            duration: phases.chart.duration,
+            ease: spec.easing.line,
+            onUpdate: redraw
+        }, phases.chart.start);
+
+        this.addLabelsAnimation(labelsState, phases.labels, redraw);
+        this.addOverlayAnimations(redraw);
+        this.addHold(phases.hold);
+
+        this.setFrameRenderer(redraw);
+
+        return this.timeline;
+    }
+
+    /**
+     * Create and return animation timeline for pie/donut chart
+     * Slices sweep open clockwise from the top
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @param {Function} onComplete - Completion callback
+     * @returns {gsap.core.Timeline} GSAP timeline
+     */
+    createPieChartTimeline(onProgress = null, onComplete = null) {
+        if (!this.chartRenderer.getChart()) {
+            throw new Error('No chart available to animate');
+        }
+
+        this.createBaseTimeline(onProgress, onComplete);
+
+        // Same phases as the bar chart
+        const spec = this.animationSpec;
+        const phases = this.getPhaseTimings(spec.phases);
+
+        const titleElement = this.createTitleState();
+        const pieState = { sweep: 0 };
+        const labelsState = { opacity: 0 };
+
+        const redraw = () => {
+            this.redrawChart(titleElement, null, labelsState, pieState);
+        };
+
+        this.addTitleAnimation(titleElement, phases.title, redraw);
+
+        this.timeline.to(pieState, {
+            sweep: 1,
+            duration: phases.chart.duration,
+            ease: spec.easing.slices,
+            onUpdate: redraw
+        }, phases.chart.start);
+
+        this.addLabelsAnimation(labelsState, phases.labels, redraw);
+        this.addOverlayAnimations(redraw);
+        this.addHold(phases.hold);
+
+        this.setFrameRenderer(redraw);
+
+        return this.timeline;
+    }
+
+    /**
+     * Create the initial (hidden) title state
+     * @returns {Object} {charsVisible: 0} for typewriter, {opacity: 0} otherwise
+     */
+    createTitleState() {
+        return this.useTypewriter ?
+            { charsVisible: 0 } :
+            { opacity: 0 };
+    }
+
+    /**
+     * Add the title animation (typewriter or fade in)
+     * @param {Object} titleElement - Title state from createTitleState
+     * @param {Object} phase - Title phase {start, duration} in seconds
+     * @param {Function} redraw - Called on every update
+     */
+    addTitleAnimation(titleElement, phase, redraw) {
+        if (this.useTypewriter) {
+            // Typewriter effect - reveal characters one by one
+            this.timeline.to(titleElement, {
+                charsVisible: this.chartRenderer.config.title.length,
+                duration: phase.duration,
+                ease: 'none', // Linear for typewriter
+                onUpdate: redraw
+            }, phase.start);
+        } else {
+            // Fade in effect
+            this.timeline.to(titleElement, {
+                opacity: 1,
+                duration: phase.duration,
+                ease: this.animationSpec.easing.title,
+                onUpdate: redraw
+            }, phase.start);
+        }
+    }
+
+    /**
+     * Add the value labels fade in
+     * @param {Object} labelsState - Labels state {opacity: 0-1}
+     * @param {Object} phase - Labels phase {start, duration} in seconds
+     * @param {Function} redraw - Called on every update
+     */
+    addLabelsAnimation(labelsState, phase, redraw) {
+        this.timeline.to(labelsState, {
+            opacity: 1,
+            duration: phase.duration,
+            ease: this.animationSpec.easing.labels,
+            onUpdate: redraw
+        }, phase.start);
+    }
+
+    /**
+     * Add the entrance of every overlay at its own start time and duration (in seconds)
+     * Times are clamped to the video, so an overlay always finishes entering before the end.
+     * @param {Function} redraw - Called on every update
+     */
+    addOverlayAnimations(redraw) {
+        const overlays = this.chartRenderer.config.overlays || [];
+        this.overlayStates = overlays.map(() => ({ progress: 0 }));
+
+        overlays.forEach((overlay, index) => {
+            const start = Math.min(this.duration, Math.max(0, Number(overlay.start) || 0));
+            const duration = overlay.entrance === 'none'
+                ? 0
+                : Math.min(this.duration - start, Math.max(0, Number(overlay.duration) || 0));
+
+            this.timeline.to(this.overlayStates[index], {
+                progress: 1,
+                duration,
+                ease: this.animationSpec.easing.overlays,
+                onUpdate: redraw
+            }, start);
+        });
+    }
+
+    /**
+     * Hold the final state, and make the timeline last exactly the video duration
+     * @param {Object} phase - Hold phase {start, duration} in seconds
+     */
+    addHold(phase) {
+        this.timeline.to({}, {
+            duration: phase.duration
+        }, phase.start);
+
+        this.timeline.set({}, {}, this.duration);
+    }
+
+    /**
+     * Turn a phase list from the animation spec into times in seconds
+     * Phases play in list order and share the video duration in proportion to
+     * their durations. Phases missing from the list take no time at the start.
+     * @param {Array<Object>} phaseList - [{name: 'title'|'chart'|'labels'|'hold', duration}]
+     * @returns {Object} {title, chart, labels, hold}, each {start, duration}
+     */
+    getPhaseTimings(phaseList = []) {
+        const phases = {
+            title: { start: 0, duration: 0 },
+            chart: { start: 0, duration: 0 },
+            labels: { start: 0, duration: 0 },
+            hold: { start: 0, duration: 0 }
+        };
+
+        const shares = phaseList
+            .filter(phase => phase && phases[phase.name])
+            .map(phase => ({ name: phase.name, share: Math.max(0, Number(phase.duration) || 0) }));
+        const total = shares.reduce((sum, phase) => sum + phase.share, 0);
+
+        let start = 0;
+        shares.forEach(phase => {
+            const duration = total > 0 ? this.duration * phase.share / total : 0;
+            phases[phase.name] = { start, duration };
+            start += duration;
+        });
+
+        return phases;
+    }
+
+    /**
+     * Get start and duration of one element in a staggered phase
+     * Starts are spread evenly over the stagger share of the phase, so the last
+     * element always ends with the phase however many elements there are.
+     * The spread is capped at MAX_STAGGER, so even at 100% every element still
+     * animates for a fifth of the phase instead of jumping to its final value.
+     * @param {number} index - Element index
+     * @param {number} count - Number of elements
+     * @param {Object} phase - Phase {start, duration} in seconds
+     * @param {number} stagger - Share of the phase used to spread starts (0-1)
+     * @returns {Object} {start, duration} in seconds
+     */
+    getStaggeredTiming(index, count, phase, stagger) {
+        const share = Math.min(MAX_STAGGER, Math.max(0, Number(stagger) || 0));
+        const spread = count > 1 ? phase.duration * share : 0;
+
+        return {
+            start: phase.start + (count > 1 ? spread * index / (count - 1) : 0),
+            duration: phase.duration - spread
+        };
+    }
+
+    /**
+     * Get the entrance of a bar or column from its progress and the entrance style
+     * 'grow' extends the bar from the axis, 'slide' moves it in from the right edge,
+     * 'drop' lowers it from the top edge and 'fade' fades it in.
+     * @param {number} progress - Entrance progress (0-1, may overshoot with back or elastic easings)
+     * @param {number} slideDistance - Distance from the resting place to the right edge
+     * @param {number} dropDistance - Distance from the resting place to above the top edge
+     * @returns {Object} {length: share of the length drawn, dx, dy, opacity}
+     */
+    getEntranceState(progress, slideDistance, dropDistance) {
+        const remaining = 1 - progress;
+
+        switch (this.animationSpec.entrance) {
+            case 'slide':
+                return { length: 1, dx: remaining * slideDistance, dy: 0, opacity: 1 };
+            case 'drop':
+                return { length: 1, dx: 0, dy: -remaining * dropDistance, opacity: 1 };
+            case 'fade':
+                return { length: 1, dx: 0, dy: 0, opacity: Math.min(1, Math.max(0, progress)) };
+            default:
+                return { length: progress, dx: 0, dy: 0, opacity: 1 };
+        }
+    }
+
+    /**
+     * Store the function that draws the current animation state and draw the first frame
+     * Tweens only redraw while the playhead moves, so seeking or recording the
+     * initial frame needs an explicit draw.
+     * @param {Function} redraw - Draws the current state of the timeline
+     */
+    setFrameRenderer(redraw) {
+        this.drawFrame = redraw;
+        redraw();
+    }
+
+    /**
+     * Create an empty timeline wired to progress, debug capture and completion
+     * The timeline starts paused: call play() for real-time playback or
+     * renderFrames() for frame-by-frame rendering.
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @param {Function} onComplete - Completion callback
+     * @returns {gsap.core.Timeline} GSAP timeline
+     */
+    createBaseTimeline(onProgress = null, onComplete = null) {
         // Kill existing timeline if any
         if (this.timeline) {
             this.timeline.kill();
@@ -36,30 +484,26 @@ export class Animator {
             });
         }
 
-        // Reset frame counter
+        // Reset frame counter and audio cues
         this.frameCounter = 0;
+        this.audioCues = [];
+        this.animationSpec = ConfigManager.resolveAnimation(this.chartRenderer.config.animation);
 
-        // Create new timeline
         this.timeline = gsap.timeline({
+            paused: true,
             onUpdate: () => {
                 if (onProgress) {
-                    const progress = (this.timeline.progress() * 100);
-                    onProgress(progress);
+                    onProgress(this.timeline.progress() * 100);
                 }
 
-                // Capture frames at regular intervals (1 every 10 frames to reduce debug data)
+                // Capture 1 frame every 10 to reduce debug output size
                 if (this.debugLogger?.isEnabled()) {
-                    const currentTime = this.timeline.time();
-                    const fps = 30; // Target FPS
-                    const frameInterval = 1 / fps;
-                    const expectedFrame = Math.floor(currentTime / frameInterval);
+                    const expectedFrame = Math.floor(this.timeline.time() * 30);
 
                     if (expectedFrame > this.frameCounter) {
                         this.frameCounter = expectedFrame;
 
-                        // Capture only 1 frame every 10 (to reduce debug output size)
-                        const captureEvery = 10;
-                        if (this.frameCounter === 1 || this.frameCounter % captureEvery === 0) {
+                        if (this.frameCounter === 1 || this.frameCounter % 10 === 0) {
                             this.captureCurrentFrame(`frame-${this.frameCounter}`, this.frameCounter);
                         }
                     }
@@ -79,175 +523,463 @@ export class Animator {
             }
         });
 
-        const chart = this.chartRenderer.getChart();
-        if (!chart) {
-            throw new Error('No chart available to animate');
+        return this.timeline;
+    }
+
+    /**
+     * Redraw chart with animation states
+     * @param {Object} titleElement - Title state {opacity: 0-1} or {charsVisible: number}
+     * @param {Array|null} barsState - Array of bar states {scale: 0-1} (bar and column charts)
+     * @param {Object|null} labelsState - Labels state {opacity: 0-1}
+     * @param {Object|null} chartState - Chart-specific state:
+     *   {position: fractional period index} (race), {progress: 0-1} (line), {sweep: 0-1} (pie/donut)
+     */
+    redrawChart(titleElement, barsState, labelsState, chartState = null) {
+        // Clear canvas with background color
+        this.ctx.fillStyle = this.chartRenderer.config.bgColor;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.drawTitle(titleElement);
+
+        switch (this.chartRenderer.config.chartType) {
+            case 'race':
+                this.drawRace(chartState.position);
+                break;
+            case 'column':
+                this.drawColumns(barsState, labelsState);
+                break;
+            case 'line':
+                this.drawLine(chartState.progress, labelsState);
+                break;
+            case 'pie':
+            case 'donut':
+                this.drawPie(chartState.sweep, labelsState);
+                break;
+            default:
+                this.drawBars(barsState, labelsState);
+        }
+
+        this.chartRenderer.drawOverlays(this.ctx, this.overlayStates);
+    }
+
+    /**
+     * Draw title (typewriter or fade in)
+     * @param {Object} titleElement - Title state {opacity: 0-1} or {charsVisible: number}
+     */
+    drawTitle(titleElement) {
+        if (this.useTypewriter && titleElement.charsVisible !== undefined) {
+            // Typewriter: show only first N characters
+            this.chartRenderer.drawTitle(this.ctx, { charsVisible: Math.floor(titleElement.charsVisible) });
+        } else {
+            // Fade in: show full title with opacity
+            this.chartRenderer.drawTitle(this.ctx, { opacity: titleElement.opacity || 0 });
         }
+    }
 
+    /**
+     * Draw static-order bars growing from the axis
+     * @param {Array} barsState - Array of bar states {scale: 0-1}
+     * @param {Object} labelsState - Labels state {opacity: 0-1}
+     */
+    drawBars(barsState, labelsState) {
+        const chart = this.chartRenderer.getChart();
+        const { labels, series } = this.chartRenderer.getData();
+        const data = series[0].values;
         const meta = chart.getDatasetMeta(0);
         const bars = meta.data;
 
-        if (this.debugLogger?.isEnabled()) {
-            this.debugLogger.log('ANIMATION', 'Chart metadata loaded', {
-                barsCount: bars.length,
-                dataPoints: chart.data.datasets[0].data
-            });
-        }
+        bars.forEach((bar, index) => {
+            const scale = barsState[index].scale;
+            const barHeight = bar.height;
+            const entrance = this.getEntranceState(scale, this.canvas.width - bar.base, bar.y + barHeight / 2);
 
-        // Get configuration
-        const titleDuration = this.duration * 0.2; // 20% for title
-        const barsDuration = this.duration * 0.4; // 40% for bars
-        const labelsDuration = this.duration * 0.2; // 20% for labels
-        const holdDuration = this.duration * 0.2; // 20% hold at end
+            // Use bar.base as starting position and calculate width from base to x
+            const barX = bar.base + entrance.dx;
+            const barWidth = (bar.x - bar.base) * entrance.length;
+            const barY = bar.y - barHeight / 2 + entrance.dy;
 
-        // Animation sequence:
-        // 1. Fade in title (0 - 20%)
-        // 2. Grow bars with stagger (20% - 60%)
-        // 3. Fade in value labels (60% - 80%)
-        // 4. Hold final state (80% - 100%)
+            // Draw bar
+            this.ctx.save();
+            this.ctx.globalAlpha = entrance.opacity;
+            this.ctx.fillStyle = this.chartRenderer.getLabelColor(labels[index]);
+            this.ctx.fillRect(barX, barY, barWidth, barHeight);
+            this.ctx.restore();
 
-        // Initial state: hide everything
-        const titleText = this.chartRenderer.config.title.toUpperCase();
-        const titleElement = this.useTypewriter ?
-            { charsVisible: 0 } :
-            { opacity: 0 };
-        const barsState = bars.map(() => ({ scaleX: 0 }));
-        const labelsState = { opacity: 0 };
+            // Draw country label (y-axis) - positioned before the bar
+            this.ctx.save();
+            this.ctx.font = `${Math.floor(this.chartRenderer.config.fontSize * 1.1)}px "${this.chartRenderer.config.fontFamily}"`;
+            this.ctx.fillStyle = this.chartRenderer.getTextColor();
+            this.ctx.textAlign = 'right';
+            this.ctx.textBaseline = 'middle';
+            this.drawLabelLines(this.chartRenderer.getBarLabelLines(labels[index]), barX - 20, bar.y);
+            this.ctx.restore();
 
-        // 1. Animate title (typewriter or fade in)
-        if (this.useTypewriter) {
-            // Typewriter effect - reveal characters one by one
-            this.timeline.to(titleElement, {
-                charsVisible: titleText.length,
-                duration: titleDuration,
-                ease: 'none', // Linear for typewriter
-                onUpdate: () => {
-                    this.redrawChart(titleElement, barsState, labelsState);
-                }
-            });
-        } else {
-            // Fade in effect
-            this.timeline.to(titleElement, {
-                opacity: 1,
-                duration: titleDuration,
-                ease: 'power2.out',
-                onUpdate: () => {
-                    this.redrawChart(titleElement, barsState, labelsState);
-                }
-            });
-        }
+            // Draw value label - positioned after the bar
+            const valueLabel = this.getValueLabelState(data[index], scale, labelsState);
+            this.ctx.save();
+            this.ctx.globalAlpha = valueLabel.opacity * entrance.opacity;
+            this.ctx.font = `${this.chartRenderer.config.fontSize}px "${this.chartRenderer.config.fontFamily}"`;
+            this.ctx.fillStyle = this.chartRenderer.getTextColor();
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'middle';
+            if (valueLabel.ridesTip) {
+                this.ctx.fillText(valueLabel.text, barX + barWidth + 10, bar.y + entrance.dy);
+            } else {
+                this.ctx.fillText(valueLabel.text, bar.x + 10, bar.y);
+            }
+            this.ctx.restore();
+        });
+    }
+
+    /**
+     * Draw columns growing upward from the axis
+     * @param {Array} barsState - Array of column states {scale: 0-1}
+     * @param {Object} labelsState - Labels state {opacity: 0-1}
+     */
+    drawColumns(barsState, labelsState) {
+        const chart = this.chartRenderer.getChart();
+        const config = this.chartRenderer.config;
+        const { labels, series } = this.chartRenderer.getData();
+        const bars = chart.getDatasetMeta(0).data;
+        const axisY = chart.scales.x.top;
+
+        // Draw category labels below the axis
+        this.drawCategoryLabels(bars, labels, axisY);
 
-        // 2. Animate bars (staggered)
         bars.forEach((bar, index) => {
-            const delay = (index * 0.15); // Stagger delay
+            const scale = barsState[index].scale;
+            const barLeft = bar.x - bar.width / 2;
+            const entrance = this.getEntranceState(scale, this.canvas.width - barLeft, bar.base);
+            const barHeight = (bar.base - bar.y) * entrance.length;
+            const barTop = bar.base - barHeight + entrance.dy;
 
-            this.timeline.to(barsState[index], {
-                scaleX: 1,
-                duration: barsDuration / bars.length,
-                ease: 'power3.out',
-                onUpdate: () => {
-                    this.redrawChart(titleElement.opacity, barsState, labelsState);
-                }
-            }, titleDuration + delay);
-        });
+            // Draw column
+            this.ctx.save();
+            this.ctx.globalAlpha = entrance.opacity;
+            this.ctx.fillStyle = this.chartRenderer.getLabelColor(labels[index]);
+            this.ctx.fillRect(barLeft + entrance.dx, barTop, bar.width, barHeight);
+            this.ctx.restore();
 
-        // 3. Fade in labels
-        this.timeline.to(labelsState, {
-            opacity: 1,
-            duration: labelsDuration,
-            ease: 'power2.out',
-            onUpdate: () => {
-                this.redrawChart(titleElement.opacity, barsState, labelsState);
+            // Draw value label above the column
+            const valueLabel = this.getValueLabelState(series[0].values[index], scale, labelsState);
+            this.ctx.save();
+            this.ctx.globalAlpha = valueLabel.opacity * entrance.opacity;
+            this.ctx.font = `${config.fontSize}px "${config.fontFamily}"`;
+            this.ctx.fillStyle = this.chartRenderer.getTextColor();
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'bottom';
+            if (valueLabel.ridesTip) {
+                this.ctx.fillText(valueLabel.text, bar.x + entrance.dx, barTop - 10);
+            } else {
+                this.ctx.fillText(valueLabel.text, bar.x, bar.y - 10);
             }
-        }, titleDuration + barsDuration);
-
-        // 4. Hold final state
-        this.timeline.to({}, {
-            duration: holdDuration
+            this.ctx.restore();
         });
-
-        return this.timeline;
     }
 
     /**
-     * Redraw chart with animation states
-     * @param {Object} titleElement - Title state {opacity: 0-1} or {charsVisible: number}
-     * @param {Array} barsState - Array of bar states {scaleX: 0-1}
+     * Draw line chart with the path revealed up to progress
+     * @param {number} progress - Share of the path drawn (0-1)
      * @param {Object} labelsState - Labels state {opacity: 0-1}
      */
-    redrawChart(titleElement, barsState, labelsState) {
+    drawLine(progress, labelsState) {
         const chart = this.chartRenderer.getChart();
-        const data = chart.data.datasets[0].data;
-        const labels = chart.data.labels;
-        const meta = chart.getDatasetMeta(0);
-        const bars = meta.data;
+        const config = this.chartRenderer.config;
+        const { labels, series } = this.chartRenderer.getData();
+        const dataset = chart.data.datasets[0];
+        const points = chart.getDatasetMeta(0).data;
+        const axisY = chart.scales.x.top;
 
-        // Clear canvas with background color
-        this.ctx.fillStyle = this.chartRenderer.config.bgColor;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        // Fractional index of the path tip
+        const reach = progress * (points.length - 1);
+        const lastFull = Math.floor(reach);
+
+        // Draw category labels below the axis
+        this.drawCategoryLabels(points, labels, axisY);
+
+        if (progress <= 0 || points.length === 0) {
+            return;
+        }
 
-        // Draw title (typewriter or fade in)
+        // Draw path
         this.ctx.save();
-        this.ctx.font = `${Math.floor(this.chartRenderer.config.fontSize * 1.5)}px "${this.chartRenderer.config.fontFamily}"`;
-        this.ctx.fillStyle = this.chartRenderer.config.barColor;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'top';
+        this.ctx.strokeStyle = config.barColor;
+        this.ctx.lineWidth = dataset.borderWidth;
+        this.ctx.lineJoin = 'round';
+        this.ctx.lineCap = 'round';
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0].x, points[0].y);
 
-        const fullTitle = this.chartRenderer.config.title.toUpperCase();
-        let displayTitle;
+        for (let i = 1; i <= lastFull; i++) {
+            this.ctx.lineTo(points[i].x, points[i].y);
+        }
 
-        if (this.useTypewriter && titleElement.charsVisible !== undefined) {
-            // Typewriter: show only first N characters
-            const chars = Math.floor(titleElement.charsVisible);
-            displayTitle = fullTitle.substring(0, chars);
-        } else {
-            // Fade in: show full title with opacity
-            this.ctx.globalAlpha = titleElement.opacity || 0;
-            displayTitle = fullTitle;
+        if (lastFull < points.length - 1) {
+            const from = points[lastFull];
+            const to = points[lastFull + 1];
+            const t = reach - lastFull;
+            this.ctx.lineTo(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t);
         }
 
-        this.ctx.fillText(
-            displayTitle,
-            this.canvas.width / 2,
-            30
-        );
+        this.ctx.stroke();
         this.ctx.restore();
 
-        // Draw bars and labels
-        bars.forEach((bar, index) => {
-            const scaleX = barsState[index].scaleX;
+        // Draw points reached by the path, with their value labels
+        points.forEach((point, index) => {
+            if (index > reach) {
+                return;
+            }
 
-            // Use bar.base as starting position and calculate width from base to x
-            const barX = bar.base;
-            const barWidth = (bar.x - bar.base) * scaleX;
-            const barHeight = bar.height;
-            const barY = bar.y - barHeight / 2;
+            this.ctx.fillStyle = this.chartRenderer.getLabelColor(labels[index]);
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, dataset.pointRadius, 0, Math.PI * 2);
+            this.ctx.fill();
 
-            // Draw bar
-            this.ctx.fillStyle = this.chartRenderer.config.barColor;
-            this.ctx.fillRect(barX, barY, barWidth, barHeight);
+            this.ctx.save();
+            this.ctx.globalAlpha = labelsState.opacity;
+            this.ctx.font = `${config.fontSize}px "${config.fontFamily}"`;
+            this.ctx.fillStyle = this.chartRenderer.getTextColor();
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'bottom';
+            this.ctx.fillText(this.chartRenderer.formatValue(series[0].values[index]), point.x, point.y - 15);
+            this.ctx.restore();
+        });
+    }
 
-            // Draw country label (y-axis) - positioned before the bar
+    /**
+     * Draw pie/donut chart with slices opened up to sweep
+     * @param {number} sweep - Share of the full circle drawn (0-1)
+     * @param {Object} labelsState - Labels state {opacity: 0-1}
+     */
+    drawPie(sweep, labelsState) {
+        const chart = this.chartRenderer.getChart();
+        const config = this.chartRenderer.config;
+        const { labels, series } = this.chartRenderer.getData();
+        const colors = chart.data.datasets[0].backgroundColor;
+        const arcs = chart.getDatasetMeta(0).data;
+
+        if (arcs.length === 0) {
+            return;
+        }
+
+        const limit = arcs[0].startAngle + sweep * Math.PI * 2;
+
+        arcs.forEach((arc, index) => {
+            if (arc.startAngle >= limit) {
+                return;
+            }
+
+            const endAngle = Math.min(arc.endAngle, limit);
+
+            // Draw slice
             this.ctx.save();
-            this.ctx.font = `${Math.floor(this.chartRenderer.config.fontSize * 1.1)}px "${this.chartRenderer.config.fontFamily}"`;
-            this.ctx.fillStyle = this.chartRenderer.config.barColor;
-            this.ctx.textAlign = 'right';
-            this.ctx.textBaseline = 'middle';
-            this.ctx.fillText(labels[index], barX - 20, bar.y);
+            this.ctx.fillStyle = colors[index];
+            this.ctx.strokeStyle = config.bgColor;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(arc.x, arc.y, arc.outerRadius, arc.startAngle, endAngle);
+            if (arc.innerRadius > 0) {
+                this.ctx.arc(arc.x, arc.y, arc.innerRadius, endAngle, arc.startAngle, true);
+            } else {
+                this.ctx.lineTo(arc.x, arc.y);
+            }
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
             this.ctx.restore();
 
-            // Draw value label with opacity - positioned after the bar
+            // Category label appears once the slice is fully open
+            if (endAngle < arc.endAngle) {
+                return;
+            }
+
+            const anchor = this.chartRenderer.getSliceLabelAnchor(arc);
+
             this.ctx.save();
+            this.ctx.fillStyle = this.chartRenderer.getTextColor();
+            this.ctx.textAlign = anchor.align;
+            this.ctx.font = `${Math.floor(config.fontSize * 1.1)}px "${config.fontFamily}"`;
+            this.ctx.textBaseline = 'bottom';
+            this.ctx.fillText(labels[index].toUpperCase(), anchor.x, anchor.y);
+
+            // Value label below the category, with opacity
             this.ctx.globalAlpha = labelsState.opacity;
-            this.ctx.font = `${this.chartRenderer.config.fontSize}px "${this.chartRenderer.config.fontFamily}"`;
-            this.ctx.fillStyle = this.chartRenderer.config.barColor;
-            this.ctx.textAlign = 'left';
+            this.ctx.font = `${config.fontSize}px "${config.fontFamily}"`;
+            this.ctx.textBaseline = 'top';
+            this.ctx.fillText(this.chartRenderer.formatValue(series[0].values[index]), anchor.x, anchor.y);
+            this.ctx.restore();
+        });
+    }
+
+    /**
+     * Draw bar chart race at a fractional period position
+     * Values are interpolated linearly, ranks with an ease so bars slide between slots
+     * @param {number} position - Period index (e.g. 2.5 = halfway between period 2 and 3)
+     */
+    drawRace(position) {
+        const chart = this.chartRenderer.getChart();
+        const { labels, series } = this.chartRenderer.getData();
+        const config = this.chartRenderer.config;
+        const area = chart.chartArea;
+
+        const lastIndex = series.length - 1;
+        const fromIndex = Math.min(Math.floor(position), lastIndex);
+        const toIndex = Math.min(fromIndex + 1, lastIndex);
+        const t = position - fromIndex;
+        const ease = gsap.parseEase(this.animationSpec.easing.race) || gsap.parseEase('power2.inOut');
+        const slide = ease(t);
+
+        const fromRanks = this.getRanks(series[fromIndex].values);
+        const toRanks = this.getRanks(series[toIndex].values);
+
+        const topN = Math.min(config.raceTopN || labels.length, labels.length);
+        const slotHeight = (area.bottom - area.top) / topN;
+        const barHeight = slotHeight * 0.72;
+
+        const values = labels.map((_, index) => {
+            const from = series[fromIndex].values[index];
+            const to = series[toIndex].values[index];
+            return from + (to - from) * t;
+        });
+        const ranks = labels.map((_, index) => fromRanks[index] + (toRanks[index] - fromRanks[index]) * slide);
+
+        // Scale to the largest value currently on screen
+        const maxValue = Math.max(...values.filter((_, index) => ranks[index] < topN), 0) || 1;
+        const scale = (area.right - area.left) / maxValue;
+
+        labels.forEach((label, index) => {
+            const rank = ranks[index];
+
+            // Bars past the last slot fade out as they leave the chart
+            const opacity = Math.max(0, Math.min(1, topN - rank));
+            if (opacity === 0) {
+                return;
+            }
+
+            const barWidth = Math.max(0, values[index] * scale);
+            const barY = area.top + rank * slotHeight + (slotHeight - barHeight) / 2;
+            const centerY = barY + barHeight / 2;
+
+            this.ctx.save();
+            this.ctx.globalAlpha = opacity;
+
+            // Draw bar
+            this.ctx.fillStyle = this.chartRenderer.getLabelColor(label);
+            this.ctx.fillRect(area.left, barY, barWidth, barHeight);
+
+            // Draw label before the bar
+            this.ctx.fillStyle = this.chartRenderer.getTextColor();
+            this.ctx.font = `${Math.floor(config.fontSize * 1.1)}px "${config.fontFamily}"`;
+            this.ctx.textAlign = 'right';
             this.ctx.textBaseline = 'middle';
-            const value = data[index];
-            const valueLabel = `$${value.toLocaleString()}`.toUpperCase();
-            this.ctx.fillText(valueLabel, barX + barWidth + 10, bar.y);
+            this.drawLabelLines(this.chartRenderer.getBarLabelLines(label), area.left - 20, centerY);
+
+            // Draw value label after the bar
+            this.ctx.font = `${config.fontSize}px "${config.fontFamily}"`;
+            this.ctx.textAlign = 'left';
+            const valueLabel = this.chartRenderer.formatValue(values[index]);
+            this.ctx.fillText(valueLabel, area.left + barWidth + 10, centerY);
+
             this.ctx.restore();
         });
+
+        // Draw big period counter in the bottom right corner
+        const period = series[Math.round(position)]?.name ?? series[lastIndex].name;
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.font = `${Math.floor(config.fontSize * 3)}px "${config.fontFamily}"`;
+        this.ctx.fillStyle = this.chartRenderer.getTextColor();
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(String(period).toUpperCase(), area.right, area.bottom);
+        this.ctx.restore();
+    }
+
+    /**
+     * Get the text, opacity and position mode of a bar value label
+     * With config.valueAnimation 'countUp' the number counts from 0 in sync with
+     * the bar scale; with 'fade' the final value fades in after the bars.
+     * @param {number} value - Final value
+     * @param {number} scale - Bar growth (0-1)
+     * @param {Object} labelsState - Labels state {opacity: 0-1}
+     * @returns {Object} {text, opacity, ridesTip}
+     */
+    getValueLabelState(value, scale, labelsState) {
+        const config = this.chartRenderer.config;
+
+        if (config.valueAnimation === 'fade') {
+            return {
+                text: this.chartRenderer.formatValue(value),
+                opacity: labelsState.opacity,
+                ridesTip: true
+            };
+        }
+
+        // Back and elastic easings overshoot: the number stops at the final value
+        const share = Math.min(1, Math.max(0, scale));
+
+        return {
+            text: this.chartRenderer.formatValue(value * share),
+            // Appear quickly once the bar starts growing
+            opacity: Math.min(1, share * 5),
+            ridesTip: config.valueLabelPosition !== 'end'
+        };
+    }
+
+    /**
+     * Draw category labels centered under chart elements, wrapped like the static chart ticks
+     * @param {Array<Object>} elements - Chart.js elements with an x position
+     * @param {Array<string>} labels - Category labels
+     * @param {number} axisY - Top of the category axis
+     */
+    drawCategoryLabels(elements, labels, axisY) {
+        const config = this.chartRenderer.config;
+        const chart = this.chartRenderer.getChart();
+        const fontSize = Math.floor(config.fontSize * 1.1);
+
+        this.ctx.save();
+        this.ctx.font = `${fontSize}px "${config.fontFamily}"`;
+        this.ctx.fillStyle = this.chartRenderer.getTextColor();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        elements.forEach((element, index) => {
+            const lines = [].concat(chart.scales.x.ticks[index]?.label ?? labels[index].toUpperCase());
+            lines.forEach((line, lineIndex) => {
+                this.ctx.fillText(line, element.x, axisY + 10 + lineIndex * fontSize * 1.2);
+            });
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw lines of text vertically centered on a point, with the current font and alignment
+     * @param {Array<string>} lines - Text lines
+     * @param {number} x - Anchor x
+     * @param {number} centerY - Vertical center of the block
+     */
+    drawLabelLines(lines, x, centerY) {
+        const lineHeight = parseInt(this.ctx.font, 10) * 1.2;
+        const firstY = centerY - ((lines.length - 1) * lineHeight) / 2;
+
+        lines.forEach((line, index) => {
+            this.ctx.fillText(line, x, firstY + index * lineHeight);
+        });
+    }
+
+    /**
+     * Rank values in descending order
+     * @param {Array<number>} values - Values in label order
+     * @returns {Array<number>} Rank (0 = largest) for each label
+     */
+    getRanks(values) {
+        const ranks = new Array(values.length);
+        values
+            .map((value, index) => ({ value, index }))
+            .sort((a, b) => b.value - a.value || a.index - b.index)
+            .forEach((item, rank) => {
+                ranks[item.index] = rank;
+            });
+        return ranks;
     }
 
     /**
@@ -268,6 +1000,104 @@ export class Animator {
         }
     }
 
+    /**
+     * Draw the timeline state at an exact time, without firing callbacks
+     * @param {number} time - Time in seconds
+     */
+    seek(time) {
+        if (!this.timeline) {
+            return;
+        }
+
+        this.timeline.pause();
+        this.timeline.seek(time, true);
+
+        if (this.drawFrame) {
+            this.drawFrame();
+        }
+    }
+
+    /**
+     * Render the timeline frame by frame at exact times (frame N = N / fps)
+     * Each frame is drawn on the canvas and handed to onFrame before moving on,
+     * so the output never drops frames, whatever the machine speed.
+     * @param {number} fps - Frames per second
+     * @param {Function} onFrame - async (frameIndex, totalFrames) => void, called after each frame is drawn
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @returns {Promise<number>} Number of rendered frames
+     */
+    async renderFrames(fps, onFrame, onProgress = null) {
+        if (!this.timeline) {
+            throw new Error('No timeline to render');
+        }
+
+        const duration = this.timeline.duration();
+
+        if (this.debugLogger?.isEnabled()) {
+            this.debugLogger.log('ANIMATION', 'Rendering frames', { fps, duration });
+        }
+
+        const totalFrames = await Animator.renderPlayerFrames(this, duration, fps, onFrame, onProgress);
+
+        this.frameCounter = totalFrames;
+
+        if (this.debugLogger?.isEnabled()) {
+            this.debugLogger.log('ANIMATION', 'Frames rendered', { totalFrames });
+        }
+
+        return totalFrames;
+    }
+
+    /**
+     * Seek a player to every frame time in turn and hand each frame to onFrame
+     * Shared by Animator and SceneSequencer, which have the same playback interface.
+     * @param {Object} player - Animator or SceneSequencer: seek(time), canvas and debugLogger
+     * @param {number} duration - Duration to render in seconds
+     * @param {number} fps - Frames per second
+     * @param {Function} onFrame - async (frameIndex, totalFrames) => void, called after each frame is drawn
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @returns {Promise<number>} Number of rendered frames
+     */
+    static async renderPlayerFrames(player, duration, fps, onFrame, onProgress = null) {
+        const totalFrames = Math.max(1, Math.round(duration * fps));
+
+        for (let frameIndex = 0; frameIndex < totalFrames; frameIndex++) {
+            player.seek(frameIndex / fps);
+
+            await onFrame(frameIndex, totalFrames);
+
+            // Capture 1 frame every 10 to reduce debug output size
+            if (player.debugLogger?.isEnabled() && (frameIndex === 1 || frameIndex % 10 === 0)) {
+                await player.debugLogger.captureFrame(player.canvas, `frame-${frameIndex}`, frameIndex);
+            }
+
+            if (onProgress) {
+                onProgress(((frameIndex + 1) / totalFrames) * 100);
+            }
+
+            // Let the browser update the UI between frames
+            await Animator.yieldToBrowser();
+        }
+
+        return totalFrames;
+    }
+
+    /**
+     * Yield to the event loop
+     * Uses a message channel because timers are throttled in background tabs
+     * @returns {Promise<void>}
+     */
+    static yieldToBrowser() {
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = () => {
+                channel.port1.close();
+                resolve();
+            };
+            channel.port2.postMessage(null);
+        });
+    }
+
     /**
      * Get timeline duration
      * @returns {number} Duration in seconds
@@ -276,6 +1106,14 @@ export class Animator {
         return this.duration;
     }
 
+    /**
+     * Get the times of the sound effects of the current timeline
+     * @returns {Array<number>} Times in seconds, one per bar reaching its final length
+     */
+    getAudioCues() {
+        return this.audioCues;
+    }
+
     /**
      * Update duration
      * @param {number} duration - New duration in seconds
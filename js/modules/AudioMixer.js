@@ -0,0 +1,283 @@
+/**
+ * AudioMixer Module
+ * Mixes the soundtrack with Web Audio: background music (trimmed, faded in and
+ * out, volume-controlled) plus a "pop" sound on every audio cue of the timeline
+ * (e.g. each bar finishing its growth, see Animator.getAudioCues)
+ *
+ * The same graph is rendered offline for frame-by-frame encoding, or played
+ * into a MediaStream for real-time recording, so both stay in sync with the timeline.
+ */
+
+const SAMPLE_RATE = 48000;
+const CHANNELS = 2;
+
+export class AudioMixer {
+    /**
+     * @param {Object} settings - Audio settings, see ConfigManager.getDefaultAudio()
+     */
+    constructor(settings = {}) {
+        this.settings = settings;
+        this.music = null; // decoded AudioBuffer
+        this.musicFile = null; // source file, saved in project files
+        this.context = null; // real-time AudioContext
+        this.streamDestination = null;
+        this.sources = [];
+    }
+
+    /**
+     * Check if Web Audio is available
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof OfflineAudioContext !== 'undefined';
+    }
+
+    /**
+     * Get the format of the rendered soundtrack, to check encoder support before rendering it
+     * @returns {Object} {sampleRate, numberOfChannels}
+     */
+    static getFormat() {
+        return { sampleRate: SAMPLE_RATE, numberOfChannels: CHANNELS };
+    }
+
+    /**
+     * Decode an audio file (MP3, WAV, OGG, M4A... whatever the browser decodes) as the music track
+     * @param {File} file - Audio file
+     * @returns {Promise<AudioBuffer>} Decoded music
+     */
+    async loadMusic(file) {
+        const data = await file.arrayBuffer();
+        const context = new OfflineAudioContext(CHANNELS, 1, SAMPLE_RATE);
+
+        try {
+            this.music = await context.decodeAudioData(data);
+        } catch (error) {
+            throw new Error('Formato audio non supportato');
+        }
+        this.musicFile = file;
+
+        return this.music;
+    }
+
+    /**
+     * Remove the music track
+     */
+    clearMusic() {
+        this.music = null;
+        this.musicFile = null;
+    }
+
+    /**
+     * Replace the audio settings
+     * @param {Object} settings - Audio settings
+     */
+    updateSettings(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Check whether a video with these cues has any sound
+     * @param {Array<number>} cues - Times in seconds of the pop sounds
+     * @returns {boolean} True if there is music or at least one pop
+     */
+    hasAudio(cues = []) {
+        return Boolean(this.music) || (Boolean(this.settings.pops) && cues.length > 0);
+    }
+
+    /**
+     * Render the soundtrack of a video
+     * @param {number} duration - Video duration in seconds
+     * @param {Array<number>} cues - Times in seconds of the pop sounds
+     * @returns {Promise<AudioBuffer>} Mixed audio, exactly as long as the video
+     */
+    async render(duration, cues = []) {
+        const length = Math.max(1, Math.round(duration * SAMPLE_RATE));
+        const context = new OfflineAudioContext(CHANNELS, length, SAMPLE_RATE);
+
+        this.schedule(context, context.destination, 0, duration, cues);
+
+        return context.startRendering();
+    }
+
+    /**
+     * Open a real-time audio context and get its output as a MediaStream
+     * Call play() at the moment the timeline starts.
+     * @returns {Promise<MediaStream>} Stream with one audio track
+     */
+    async createStream() {
+        this.stop();
+
+        this.context = new AudioContext({ sampleRate: SAMPLE_RATE });
+        await this.context.resume();
+        this.streamDestination = this.context.createMediaStreamDestination();
+
+        return this.streamDestination.stream;
+    }
+
+    /**
+     * Start the soundtrack on the stream from createStream()
+     * @param {number} duration - Video duration in seconds
+     * @param {Array<number>} cues - Times in seconds of the pop sounds
+     */
+    play(duration, cues = []) {
+        if (!this.context) {
+            throw new Error('No audio stream to play into');
+        }
+
+        this.sources = this.schedule(this.context, this.streamDestination, this.context.currentTime, duration, cues);
+    }
+
+    /**
+     * Pause the real-time soundtrack
+     * The context clock stops too, so the scheduled sounds stay in sync with the timeline.
+     * @returns {Promise<void>}
+     */
+    async pause() {
+        if (this.context) {
+            await this.context.suspend();
+        }
+    }
+
+    /**
+     * Resume the real-time soundtrack
+     * @returns {Promise<void>}
+     */
+    async resume() {
+        if (this.context) {
+            await this.context.resume();
+        }
+    }
+
+    /**
+     * Stop the real-time soundtrack and close its context
+     */
+    stop() {
+        this.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (error) {
+                // Not started yet or already stopped
+            }
+        });
+        this.sources = [];
+
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+            this.streamDestination = null;
+        }
+    }
+
+    /**
+     * Connect the music and pop sources to a destination
+     * @param {BaseAudioContext} context - Offline or real-time context
+     * @param {AudioNode} destination - Output node
+     * @param {number} startAt - Context time of the first video frame
+     * @param {number} duration - Video duration in seconds
+     * @param {Array<number>} cues - Times in seconds of the pop sounds
+     * @returns {Array<AudioBufferSourceNode>} Scheduled sources
+     */
+    schedule(context, destination, startAt, duration, cues) {
+        const sources = [];
+
+        if (this.music) {
+            const music = this.scheduleMusic(context, destination, startAt, duration);
+            if (music) {
+                sources.push(music);
+            }
+        }
+
+        if (this.settings.pops) {
+            const pop = AudioMixer.createPopBuffer(context);
+            const gain = context.createGain();
+            gain.gain.value = this.getVolume(this.settings.popVolume);
+            gain.connect(destination);
+
+            cues.filter(time => time >= 0 && time < duration).forEach((time, index) => {
+                const source = context.createBufferSource();
+                source.buffer = pop;
+                // Each pop a little higher than the previous one, repeating every 8 bars
+                source.playbackRate.value = 1 + (index % 8) * 0.06;
+                source.connect(gain);
+                source.start(startAt + time);
+                sources.push(source);
+            });
+        }
+
+        return sources;
+    }
+
+    /**
+     * Schedule the music: trimmed to [trimStart, trimEnd], cut at the video end, with fades
+     * @param {BaseAudioContext} context - Offline or real-time context
+     * @param {AudioNode} destination - Output node
+     * @param {number} startAt - Context time of the first video frame
+     * @param {number} duration - Video duration in seconds
+     * @returns {AudioBufferSourceNode|null} Music source, null if the trim leaves nothing to play
+     */
+    scheduleMusic(context, destination, startAt, duration) {
+        const { trimStart, trimEnd, fadeIn, fadeOut } = this.settings;
+        const offset = Math.min(this.music.duration, Math.max(0, Number(trimStart) || 0));
+        const end = trimEnd > offset ? Math.min(this.music.duration, trimEnd) : this.music.duration;
+        const length = Math.min(duration, end - offset);
+
+        if (length <= 0) {
+            return null;
+        }
+
+        const volume = this.getVolume(this.settings.volume);
+        const fadeInLength = Math.min(length / 2, Math.max(0, Number(fadeIn) || 0));
+        const fadeOutLength = Math.min(length / 2, Math.max(0, Number(fadeOut) || 0));
+
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(fadeInLength > 0 ? 0 : volume, startAt);
+        if (fadeInLength > 0) {
+            gain.gain.linearRampToValueAtTime(volume, startAt + fadeInLength);
+        }
+        if (fadeOutLength > 0) {
+            gain.gain.setValueAtTime(volume, startAt + length - fadeOutLength);
+            gain.gain.linearRampToValueAtTime(0, startAt + length);
+        }
+        gain.connect(destination);
+
+        const source = context.createBufferSource();
+        source.buffer = this.music;
+        source.connect(gain);
+        source.start(startAt, offset, length);
+
+        return source;
+    }
+
+    /**
+     * Clamp a volume setting
+     * @param {number} volume - Volume (0-1)
+     * @returns {number} Volume between 0 and 1
+     */
+    getVolume(volume) {
+        return Math.min(1, Math.max(0, Number(volume ?? 1)));
+    }
+
+    /**
+     * Synthesize the pop: a short falling tone with a fast decay
+     * Built sample by sample, so the offline and real-time versions are identical.
+     * @param {BaseAudioContext} context - Context the buffer is played in
+     * @returns {AudioBuffer} Mono pop, 90 ms
+     */
+    static createPopBuffer(context) {
+        const length = Math.round(context.sampleRate * 0.09);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const samples = buffer.getChannelData(0);
+
+        let phase = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / context.sampleRate;
+            const frequency = 400 + 500 * Math.exp(-t / 0.02);
+            const envelope = Math.min(1, t / 0.002) * Math.exp(-t / 0.018);
+
+            phase += 2 * Math.PI * frequency / context.sampleRate;
+            samples[i] = Math.sin(phase) * envelope * 0.8;
+        }
+
+        return buffer;
+    }
+}
@@ -3,24 +3,64 @@
  * Renders charts using Chart.js
  */
 
+import { ConfigManager } from './ConfigManager.js';
+import { OverlayRenderer } from './OverlayRenderer.js';
+
 export class ChartRenderer {
     constructor(canvas, config = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.chart = null;
+        this.data = null;
+        this.decimalsData = null;
+        this.dataDecimals = 0;
+        this.labelColors = new Map();
         this.config = {
             title: 'GDP BY COUNTRY (IN $)',
             barColor: '#000000',
             bgColor: '#FFFFFF',
+            textColor: '#000000',
+            palette: 'single',
+            colorMap: {},
             fontSize: 24,
             fontFamily: 'xkcd Script',
+            chartType: 'bar',
+            raceTopN: 10,
+            numberFormat: ConfigManager.getDefaultNumberFormat(),
+            overlays: [],
             ...config
         };
+        this.overlayRenderer = new OverlayRenderer(this);
+    }
+
+    /**
+     * Render the static frame of a bar chart race (last period, sorted)
+     * Animator uses the resulting chart area to lay out the moving bars.
+     * @param {Object} data - Time-indexed data, one series per period
+     */
+    renderBarChartRace(data) {
+        const lastSerie = data.series[data.series.length - 1];
+        const topN = Math.min(this.config.raceTopN || data.labels.length, data.labels.length);
+
+        const sorted = data.labels
+            .map((label, index) => ({ label, value: lastSerie.values[index] }))
+            .sort((a, b) => b.value - a.value)
+            .slice(0, topN);
+
+        this.renderHorizontalBarChart({
+            labels: sorted.map(item => item.label),
+            series: [{ name: lastSerie.name, values: sorted.map(item => item.value) }]
+        });
+
+        // Keep every period for the animation
+        this.data = data;
+
+        return this.chart;
     }
 
     /**
      * Render a horizontal bar chart
-     * @param {Object} data - Chart data {countries: [], gdp: []}
+     * @param {Object} data - Normalized chart data {labels: [], series: [{name, values}]}
      */
     renderHorizontalBarChart(data) {
         // Destroy existing chart if any
@@ -28,21 +68,31 @@ export class ChartRenderer {
             this.chart.destroy();
         }
 
+        this.data = data;
+        const serie = data.series[0];
+
         // Set canvas background
         this.setCanvasBackground();
 
         // Prepare data for Chart.js
         const chartData = {
-            labels: data.countries.map(c => c.toUpperCase()),
+            labels: data.labels.map(label => label.toUpperCase()),
             datasets: [{
-                label: 'GDP',
-                data: data.gdp,
-                backgroundColor: this.config.barColor,
+                label: serie.name,
+                data: serie.values,
+                backgroundColor: this.getColors(data.labels),
                 borderWidth: 0,
                 borderSkipped: false
             }]
         };
 
+        const layout = this.getLayout();
+
+        // Leave room after the longest bar for its value label
+        const valueLabelWidth = Math.max(...serie.values.map(value =>
+            this.measureText(this.formatValue(value), this.config.fontSize)
+        ), 0) + 10;
+
         // Chart configuration
         const chartConfig = {
             type: 'bar',
@@ -54,88 +104,321 @@ export class ChartRenderer {
                 maintainAspectRatio: false,
                 layout: {
                     padding: {
-                        left: 20,
-                        right: 100,
-                        top: 80,
-                        bottom: 20
+                        left: layout.margin,
+                        right: layout.margin + valueLabelWidth,
+                        top: layout.chartTop,
+                        bottom: layout.chartBottom
                     }
                 },
                 scales: {
-                    x: {
+                    x: this.getHiddenAxisOptions(),
+                    y: {
                         display: true,
                         grid: {
                             display: false
                         },
-                        ticks: {
-                            display: false
-                        },
+                        ticks: this.getBarLabelTickOptions(),
                         border: {
                             display: false
                         }
-                    },
-                    y: {
+                    }
+                },
+                plugins: this.getPluginOptions()
+            },
+            plugins: [...this.getFramePlugins(), this.createValueLabelsPlugin(serie.values, bar => ({
+                x: bar.x + 10,
+                y: bar.y,
+                align: 'left',
+                baseline: 'middle'
+            }))]
+        };
+
+        // Create chart
+        this.chart = new Chart(this.ctx, chartConfig);
+
+        return this.chart;
+    }
+
+    /**
+     * Render the chart type selected in config.chartType
+     * @param {Object} data - Normalized chart data {labels: [], series: [{name, values}]}
+     * @returns {Chart} Chart.js instance
+     */
+    render(data) {
+        this.labelColors = this.resolveLabelColors(data);
+
+        switch (this.config.chartType) {
+            case 'column':
+                return this.renderVerticalBarChart(data);
+            case 'line':
+                return this.renderLineChart(data);
+            case 'pie':
+            case 'donut':
+                return this.renderPieChart(data);
+            case 'race':
+                return this.renderBarChartRace(data);
+            default:
+                return this.renderHorizontalBarChart(data);
+        }
+    }
+
+    /**
+     * Resolve the color of every category from the palette, color maps and highlight rules
+     * Sequential and diverging palettes use the last series, so race bars keep one color.
+     * @param {Object} data - Normalized chart data {labels, series, colors?}
+     * @returns {Map<string, string>} Color by label
+     */
+    resolveLabelColors(data) {
+        const values = data.series[data.series.length - 1].values;
+        const isPie = this.config.chartType === 'pie' || this.config.chartType === 'donut';
+        const colors = ConfigManager.resolveColors(
+            data.labels,
+            values,
+            this.config,
+            data.colors || {},
+            isPie ? this.getSliceColors(data.labels.length) : null
+        );
+
+        return new Map(data.labels.map((label, index) => [label, colors[index]]));
+    }
+
+    /**
+     * Get the resolved color of a category
+     * @param {string} label - Category label
+     * @returns {string} CSS color
+     */
+    getLabelColor(label) {
+        return this.labelColors.get(label) || this.config.barColor;
+    }
+
+    /**
+     * Get the resolved colors of categories
+     * @param {Array<string>} labels - Category labels
+     * @returns {Array<string>} CSS colors in label order
+     */
+    getColors(labels) {
+        return labels.map(label => this.getLabelColor(label));
+    }
+
+    /**
+     * Get the color of titles and labels
+     * @returns {string} CSS color
+     */
+    getTextColor() {
+        return this.config.textColor || this.config.barColor;
+    }
+
+    /**
+     * Render a vertical bar (column) chart
+     * @param {Object} data - Normalized chart data {labels: [], series: [{name, values}]}
+     */
+    renderVerticalBarChart(data) {
+        if (this.chart) {
+            this.chart.destroy();
+        }
+
+        this.data = data;
+        const serie = data.series[0];
+
+        this.setCanvasBackground();
+
+        const layout = this.getLayout();
+
+        const chartConfig = {
+            type: 'bar',
+            data: {
+                labels: data.labels.map(label => label.toUpperCase()),
+                datasets: [{
+                    label: serie.name,
+                    data: serie.values,
+                    backgroundColor: this.getColors(data.labels),
+                    borderWidth: 0,
+                    borderSkipped: false
+                }]
+            },
+            options: {
+                responsive: false,
+                animation: false, // We'll animate with GSAP
+                maintainAspectRatio: false,
+                layout: {
+                    padding: {
+                        left: layout.margin,
+                        right: layout.margin,
+                        top: layout.chartTop,
+                        bottom: layout.chartBottom
+                    }
+                },
+                scales: {
+                    x: {
                         display: true,
                         grid: {
                             display: false
                         },
-                        ticks: {
-                            font: {
-                                family: this.config.fontFamily,
-                                size: Math.floor(this.config.fontSize * 1.1),
-                                weight: 'normal'
-                            },
-                            color: this.config.barColor,
-                            padding: 10
-                        },
+                        ticks: this.getCategoryTickOptions(data.labels.length),
                         border: {
                             display: false
                         }
+                    },
+                    // Leave room above the tallest column for its value label
+                    y: { ...this.getHiddenAxisOptions(), beginAtZero: true, grace: '15%' }
+                },
+                plugins: this.getPluginOptions()
+            },
+            plugins: [...this.getFramePlugins(), this.createValueLabelsPlugin(serie.values, bar => ({
+                x: bar.x,
+                y: bar.y - 10,
+                align: 'center',
+                baseline: 'bottom'
+            }))]
+        };
+
+        this.chart = new Chart(this.ctx, chartConfig);
+
+        return this.chart;
+    }
+
+    /**
+     * Render a line chart
+     * @param {Object} data - Normalized chart data {labels: [], series: [{name, values}]}
+     */
+    renderLineChart(data) {
+        if (this.chart) {
+            this.chart.destroy();
+        }
+
+        this.data = data;
+        const serie = data.series[0];
+
+        this.setCanvasBackground();
+
+        const layout = this.getLayout();
+
+        const chartConfig = {
+            type: 'line',
+            data: {
+                labels: data.labels.map(label => label.toUpperCase()),
+                datasets: [{
+                    label: serie.name,
+                    data: serie.values,
+                    borderColor: this.config.barColor,
+                    backgroundColor: this.getColors(data.labels),
+                    pointBorderColor: this.getColors(data.labels),
+                    borderWidth: Math.max(2, Math.round(this.config.fontSize / 6)),
+                    pointRadius: Math.max(3, Math.round(this.config.fontSize / 4)),
+                    tension: 0
+                }]
+            },
+            options: {
+                responsive: false,
+                animation: false, // We'll animate with GSAP
+                maintainAspectRatio: false,
+                layout: {
+                    padding: {
+                        left: layout.margin + 20,
+                        right: layout.margin + 20,
+                        top: layout.chartTop,
+                        bottom: layout.chartBottom
                     }
                 },
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    title: {
+                scales: {
+                    x: {
                         display: true,
-                        text: this.config.title.toUpperCase(),
-                        font: {
-                            family: this.config.fontFamily,
-                            size: Math.floor(this.config.fontSize * 1.5),
-                            weight: 'normal'
+                        offset: true,
+                        grid: {
+                            display: false
                         },
-                        color: this.config.barColor,
-                        padding: {
-                            top: 10,
-                            bottom: 30
+                        ticks: this.getCategoryTickOptions(data.labels.length),
+                        border: {
+                            display: false
                         }
                     },
-                    tooltip: {
-                        enabled: false
-                    },
-                    // Custom plugin to draw value labels
-                    datalabels: false
-                }
+                    y: { ...this.getHiddenAxisOptions(), grace: '15%' }
+                },
+                plugins: this.getPluginOptions()
             },
-            plugins: [{
+            plugins: [...this.getFramePlugins(), this.createValueLabelsPlugin(serie.values, point => ({
+                x: point.x,
+                y: point.y - 15,
+                align: 'center',
+                baseline: 'bottom'
+            }))]
+        };
+
+        this.chart = new Chart(this.ctx, chartConfig);
+
+        return this.chart;
+    }
+
+    /**
+     * Render a pie chart, or a donut chart when config.chartType is 'donut'
+     * @param {Object} data - Normalized chart data {labels: [], series: [{name, values}]}
+     */
+    renderPieChart(data) {
+        if (this.chart) {
+            this.chart.destroy();
+        }
+
+        this.data = data;
+        const serie = data.series[0];
+
+        this.setCanvasBackground();
+
+        const layout = this.getLayout();
+
+        // Slice labels sit outside the pie: keep room for the widest one on both sides
+        const sliceLabelWidth = Math.max(...data.labels.map((label, index) => Math.max(
+            this.measureText(label.toUpperCase(), Math.floor(this.config.fontSize * 1.1)),
+            this.measureText(this.formatValue(serie.values[index]), this.config.fontSize)
+        )), 0);
+        const sidePadding = layout.margin + Math.min(sliceLabelWidth + this.config.fontSize, this.canvas.width / 4);
+
+        const chartConfig = {
+            type: 'pie',
+            data: {
+                labels: data.labels.map(label => label.toUpperCase()),
+                datasets: [{
+                    label: serie.name,
+                    data: serie.values,
+                    backgroundColor: this.getColors(data.labels),
+                    borderColor: this.config.bgColor,
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                responsive: false,
+                animation: false, // We'll animate with GSAP
+                maintainAspectRatio: false,
+                cutout: this.config.chartType === 'donut' ? '55%' : 0,
+                layout: {
+                    padding: {
+                        left: sidePadding,
+                        right: sidePadding,
+                        top: layout.chartTop + this.config.fontSize * 2,
+                        bottom: layout.chartBottom + this.config.fontSize * 2
+                    }
+                },
+                plugins: this.getPluginOptions()
+            },
+            plugins: [...this.getFramePlugins(), {
                 id: 'customLabels',
                 afterDatasetsDraw: (chart) => {
                     const ctx = chart.ctx;
                     const meta = chart.getDatasetMeta(0);
 
                     ctx.save();
-                    ctx.font = `${this.config.fontSize}px "${this.config.fontFamily}"`;
-                    ctx.fillStyle = this.config.barColor;
-                    ctx.textAlign = 'left';
-                    ctx.textBaseline = 'middle';
-
-                    meta.data.forEach((bar, index) => {
-                        const value = data.gdp[index];
-                        const label = `$${value.toLocaleString()}`;
-                        const x = bar.x + bar.width + 10;
-                        const y = bar.y;
-
-                        ctx.fillText(label.toUpperCase(), x, y);
+                    ctx.fillStyle = this.getTextColor();
+
+                    meta.data.forEach((arc, index) => {
+                        const anchor = this.getSliceLabelAnchor(arc);
+                        ctx.textAlign = anchor.align;
+
+                        ctx.font = `${Math.floor(this.config.fontSize * 1.1)}px "${this.config.fontFamily}"`;
+                        ctx.textBaseline = 'bottom';
+                        ctx.fillText(chart.data.labels[index], anchor.x, anchor.y);
+
+                        ctx.font = `${this.config.fontSize}px "${this.config.fontFamily}"`;
+                        ctx.textBaseline = 'top';
+                        ctx.fillText(this.formatValue(serie.values[index]), anchor.x, anchor.y);
                     });
 
                     ctx.restore();
@@ -143,12 +426,340 @@ export class ChartRenderer {
             }]
         };
 
-        // Create chart
         this.chart = new Chart(this.ctx, chartConfig);
 
         return this.chart;
     }
 
+    /**
+     * Get Chart.js options for an axis drawn without ticks, grid or border
+     * @returns {Object} Scale options
+     */
+    getHiddenAxisOptions() {
+        return {
+            display: true,
+            grid: {
+                display: false
+            },
+            ticks: {
+                display: false
+            },
+            border: {
+                display: false
+            }
+        };
+    }
+
+    /**
+     * Get Chart.js tick options for category labels
+     * @returns {Object} Tick options
+     */
+    getTickOptions() {
+        return {
+            font: {
+                family: this.config.fontFamily,
+                size: Math.floor(this.config.fontSize * 1.1),
+                weight: 'normal'
+            },
+            color: this.getTextColor(),
+            padding: 10
+        };
+    }
+
+    /**
+     * Compute margins and title placement for the canvas size
+     * Margins scale with the short side of the canvas, the title wraps to the
+     * canvas width, and tall canvases (9:16) keep the title and chart clear of
+     * the top and bottom bands that Reels, Stories and TikTok cover with their UI.
+     * Subtitle, top-corner and bottom overlays take their height from the chart area.
+     * @returns {Object} {margin, titleTop, titleLines, titleFontSize, titleLineHeight, chartTop, chartBottom,
+     *   overlayBoxes: one box or null per overlay, see OverlayRenderer.layout}
+     */
+    getLayout() {
+        const { width, height } = this.canvas;
+        const isTall = height >= width * 1.5;
+        const margin = Math.round(Math.min(width, height) * 0.03);
+
+        const titleFontSize = Math.floor(this.config.fontSize * 1.5);
+        const titleLineHeight = Math.round(titleFontSize * 1.25);
+        const titleLines = this.wrapText(this.config.title.toUpperCase(), width - margin * 2, titleFontSize);
+        const titleTop = isTall ? Math.round(height * 0.08) : margin;
+        const titleBottom = titleTop + titleLines.length * titleLineHeight;
+        const safeBottom = isTall ? Math.round(height * 0.12) : margin;
+
+        const overlays = this.overlayRenderer.layout({ margin, titleTop, titleBottom, safeBottom });
+
+        return {
+            margin,
+            titleTop,
+            titleLines,
+            titleFontSize,
+            titleLineHeight,
+            chartTop: titleBottom + overlays.top + margin,
+            chartBottom: safeBottom + overlays.bottom,
+            overlayBoxes: overlays.boxes
+        };
+    }
+
+    /**
+     * Split text into lines that fit a width, breaking at spaces
+     * @param {string} text - Text to wrap
+     * @param {number} maxWidth - Maximum line width in pixels
+     * @param {number} fontSize - Font size in pixels
+     * @returns {Array<string>} Lines
+     */
+    wrapText(text, maxWidth, fontSize) {
+        const words = text.split(' ').filter(word => word.length > 0);
+        const lines = [];
+
+        words.forEach(word => {
+            const last = lines[lines.length - 1];
+            if (last !== undefined && this.measureText(`${last} ${word}`, fontSize) <= maxWidth) {
+                lines[lines.length - 1] = `${last} ${word}`;
+            } else {
+                lines.push(word);
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Measure text width in the chart font
+     * @param {string} text - Text to measure
+     * @param {number} fontSize - Font size in pixels
+     * @returns {number} Width in pixels
+     */
+    measureText(text, fontSize) {
+        this.ctx.save();
+        this.ctx.font = `${fontSize}px "${this.config.fontFamily}"`;
+        const width = this.ctx.measureText(text).width;
+        this.ctx.restore();
+        return width;
+    }
+
+    /**
+     * Draw the title as laid out by getLayout()
+     * Shared by the static chart and the Animator frames so both match.
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} options - {opacity: 0-1, charsVisible: number of characters shown (typewriter)}
+     */
+    drawTitle(ctx, { opacity = 1, charsVisible = Infinity } = {}) {
+        const layout = this.getLayout();
+
+        ctx.save();
+        ctx.globalAlpha = opacity;
+        ctx.font = `${layout.titleFontSize}px "${this.config.fontFamily}"`;
+        ctx.fillStyle = this.getTextColor();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        let remaining = charsVisible;
+        layout.titleLines.forEach((line, index) => {
+            if (remaining <= 0) {
+                return;
+            }
+            ctx.fillText(line.substring(0, remaining), this.canvas.width / 2, layout.titleTop + index * layout.titleLineHeight);
+            // Line breaks replace one space of the original title
+            remaining -= line.length + 1;
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the overlay layer as laid out by getLayout()
+     * Shared by the static chart and the Animator frames so both match.
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Array<Object>|null} states - One {progress: 0-1} entrance state per overlay, null = fully entered
+     */
+    drawOverlays(ctx, states = null) {
+        this.overlayRenderer.draw(ctx, this.getLayout().overlayBoxes, states);
+    }
+
+    /**
+     * Get Chart.js plugins shared by every chart type: background fill, title and overlays
+     * @returns {Array<Object>} Chart.js inline plugins
+     */
+    getFramePlugins() {
+        return [{
+            id: 'customBackground',
+            beforeDraw: (chart) => {
+                chart.ctx.save();
+                chart.ctx.fillStyle = this.config.bgColor;
+                chart.ctx.fillRect(0, 0, chart.width, chart.height);
+                chart.ctx.restore();
+            }
+        }, {
+            id: 'customTitle',
+            afterDraw: (chart) => {
+                this.drawTitle(chart.ctx);
+            }
+        }, {
+            id: 'customOverlays',
+            afterDraw: (chart) => {
+                this.drawOverlays(chart.ctx);
+            }
+        }];
+    }
+
+    /**
+     * Split a bar label into lines no wider than 30% of the canvas
+     * @param {string} label - Category label
+     * @returns {Array<string>} Lines
+     */
+    getBarLabelLines(label) {
+        return this.wrapText(label.toUpperCase(), this.canvas.width * 0.3, Math.floor(this.config.fontSize * 1.1));
+    }
+
+    /**
+     * Get tick options for the category axis of horizontal bars (labels wrapped by getBarLabelLines)
+     * @returns {Object} Tick options
+     */
+    getBarLabelTickOptions() {
+        const renderer = this;
+
+        return {
+            ...this.getTickOptions(),
+            autoSkip: false,
+            callback(value) {
+                return renderer.getBarLabelLines(this.getLabelForValue(value));
+            }
+        };
+    }
+
+    /**
+     * Get tick options for a horizontal category axis
+     * Labels wrap onto several lines when they do not fit their slot, as on narrow canvases.
+     * @param {number} count - Number of categories
+     * @returns {Object} Tick options
+     */
+    getCategoryTickOptions(count) {
+        const renderer = this;
+        const ticks = this.getTickOptions();
+        const slotWidth = (this.canvas.width - this.getLayout().margin * 2) / Math.max(1, count);
+
+        return {
+            ...ticks,
+            autoSkip: false,
+            maxRotation: 0,
+            callback(value) {
+                return renderer.wrapText(this.getLabelForValue(value), slotWidth * 0.9, ticks.font.size);
+            }
+        };
+    }
+
+    /**
+     * Get Chart.js plugin options shared by every chart type (no title, legend or tooltip)
+     * @returns {Object} Plugin options
+     */
+    getPluginOptions() {
+        return {
+            legend: {
+                display: false
+            },
+            // The title is drawn by the customTitle plugin, see getFramePlugins
+            title: {
+                display: false
+            },
+            tooltip: {
+                enabled: false
+            },
+            // Value labels are drawn by the customLabels plugin
+            datalabels: false
+        };
+    }
+
+    /**
+     * Create a Chart.js plugin that draws a value label next to each element
+     * @param {Array<number>} values - Values in element order
+     * @param {Function} getPosition - (element) => {x, y, align, baseline}
+     * @returns {Object} Chart.js inline plugin
+     */
+    createValueLabelsPlugin(values, getPosition) {
+        return {
+            id: 'customLabels',
+            afterDatasetsDraw: (chart) => {
+                const ctx = chart.ctx;
+                const meta = chart.getDatasetMeta(0);
+
+                ctx.save();
+                ctx.font = `${this.config.fontSize}px "${this.config.fontFamily}"`;
+                ctx.fillStyle = this.getTextColor();
+
+                meta.data.forEach((element, index) => {
+                    const position = getPosition(element);
+                    ctx.textAlign = position.align;
+                    ctx.textBaseline = position.baseline;
+                    ctx.fillText(this.formatValue(values[index]), position.x, position.y);
+                });
+
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Format a value for its label
+     * @param {number} value - Value to format
+     * @returns {string} Label text
+     */
+    formatValue(value) {
+        return ConfigManager.formatNumber(value, this.config.numberFormat, this.getDataDecimals());
+    }
+
+    /**
+     * Get the decimal places of the most precise value in the data (at most 3)
+     * Automatic formatting keeps this precision, so interpolated values do not jitter.
+     * @returns {number} Decimal places
+     */
+    getDataDecimals() {
+        if (this.decimalsData !== this.data) {
+            const values = this.data ? this.data.series.flatMap(serie => serie.values) : [];
+            this.dataDecimals = Math.max(0, ...values.map(value => {
+                const text = String(value);
+                if (text.includes('e')) {
+                    return 3;
+                }
+                const dot = text.indexOf('.');
+                return dot === -1 ? 0 : Math.min(3, text.length - dot - 1);
+            }));
+            this.decimalsData = this.data;
+        }
+
+        return this.dataDecimals;
+    }
+
+    /**
+     * Get the label anchor outside a pie slice, at its middle angle
+     * @param {Object} arc - Chart.js arc element {x, y, startAngle, endAngle, outerRadius}
+     * @returns {Object} {x, y, align}
+     */
+    getSliceLabelAnchor(arc) {
+        const angle = (arc.startAngle + arc.endAngle) / 2;
+        const radius = arc.outerRadius + this.config.fontSize;
+        const x = arc.x + Math.cos(angle) * radius;
+
+        return {
+            x,
+            y: arc.y + Math.sin(angle) * radius,
+            align: Math.abs(x - arc.x) < 1 ? 'center' : (x > arc.x ? 'left' : 'right')
+        };
+    }
+
+    /**
+     * Get one color per pie slice, from the bar color fading towards the background
+     * @param {number} count - Number of slices
+     * @returns {Array<string>} CSS colors
+     */
+    getSliceColors(count) {
+        return Array.from({ length: count }, (_, index) => ConfigManager.mixColors(
+            this.config.barColor,
+            this.config.bgColor,
+            count > 1 ? (index / count) * 0.8 : 0
+        ));
+    }
+
     /**
      * Set canvas background color
      */
@@ -176,6 +787,14 @@ export class ChartRenderer {
         return this.chart;
     }
 
+    /**
+     * Get the normalized data of the current chart
+     * @returns {Object|null} {labels: [], series: [{name, values}]}
+     */
+    getData() {
+        return this.data;
+    }
+
     /**
      * Get animatable elements for GSAP
      * @returns {Object} Elements that can be animated
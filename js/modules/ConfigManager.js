@@ -3,6 +3,34 @@
  * Manages user configuration and settings
  */
 
+/**
+ * Named color palettes
+ * categorical colors follow the category order, sequential ones go from the
+ * smallest to the largest value, diverging ones from negative through zero to positive
+ */
+const PALETTES = {
+    categorical: {
+        type: 'categorical',
+        colors: ['#4E79A7', '#F28E2B', '#E15759', '#76B7B2', '#59A14F', '#EDC948', '#B07AA1', '#FF9DA7', '#9C755F', '#BAB0AC']
+    },
+    pastel: {
+        type: 'categorical',
+        colors: ['#A1C9F4', '#FFB482', '#8DE5A1', '#FF9F9B', '#D0BBFF', '#DEBB9B', '#FAB0E4', '#CFCFCF', '#FFFEA3', '#B9F2F0']
+    },
+    blues: {
+        type: 'sequential',
+        colors: ['#C6DBEF', '#08306B']
+    },
+    greens: {
+        type: 'sequential',
+        colors: ['#C7E9C0', '#00441B']
+    },
+    redBlue: {
+        type: 'diverging',
+        colors: ['#B2182B', '#F7F7F7', '#2166AC']
+    }
+};
+
 export class ConfigManager {
     constructor() {
         this.config = this.getDefaultConfig();
@@ -15,28 +43,286 @@ export class ConfigManager {
     getDefaultConfig() {
         return {
             title: 'GDP BY COUNTRY (IN $)',
+            chartType: 'bar',
+            transforms: ConfigManager.getDefaultTransforms(),
             barColor: '#000000',
             bgColor: '#FFFFFF',
+            textColor: '#000000',
+            palette: 'single',
+            colorMap: {},
+            highlight: { labels: [], color: '#E53935', othersColor: '#BDBDBD' },
+            overlays: [],
+            audio: ConfigManager.getDefaultAudio(),
             fontSize: 24,
             fontFamily: 'xkcd Script',
+            numberFormat: ConfigManager.getDefaultNumberFormat(),
+            valueAnimation: 'countUp',
+            animation: ConfigManager.getDefaultAnimation(),
+            valueLabelPosition: 'tip',
             videoDuration: 5,
             resolution: '1080p',
-            fps: 30
+            customWidth: 1080,
+            customHeight: 1920,
+            fps: 30,
+            renderMode: 'offline',
+            videoFormat: 'mp4',
+            gifFps: 15,
+            gifLoop: 0,
+            gifDither: false,
+            raceTopN: 10
+        };
+    }
+
+    /**
+     * Resolve one color per category
+     * Order of precedence: highlight rules, config.colorMap, the data color map, the palette.
+     * @param {Array<string>} labels - Category labels
+     * @param {Array<number>} values - One value per category (used by sequential and diverging palettes)
+     * @param {Object} config - Configuration {palette, barColor, colorMap, highlight}
+     * @param {Object} dataColors - Color map from the data {label: color}
+     * @param {Array<string>} singleColors - Colors used by the 'single' palette instead of barColor (e.g. pie shades)
+     * @returns {Array<string>} CSS colors in label order
+     */
+    static resolveColors(labels, values, config, dataColors = {}, singleColors = null) {
+        const palette = PALETTES[config.palette];
+        const highlight = config.highlight || {};
+        const highlighted = (highlight.labels || []).map(label => String(label).trim().toLowerCase()).filter(Boolean);
+        const colorMap = { ...dataColors, ...config.colorMap };
+
+        const max = Math.max(...values.map(value => Math.abs(value)), 0) || 1;
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+
+        return labels.map((label, index) => {
+            if (highlighted.length > 0) {
+                return highlighted.includes(String(label).toLowerCase()) ? highlight.color : highlight.othersColor;
+            }
+
+            if (colorMap[label]) {
+                return colorMap[label];
+            }
+
+            if (!palette) {
+                return singleColors ? singleColors[index] : config.barColor;
+            }
+
+            switch (palette.type) {
+                case 'sequential':
+                    return ConfigManager.mixColors(palette.colors[0], palette.colors[1], (values[index] - min) / range);
+                case 'diverging': {
+                    const share = values[index] / max;
+                    return share < 0
+                        ? ConfigManager.mixColors(palette.colors[1], palette.colors[0], -share)
+                        : ConfigManager.mixColors(palette.colors[1], palette.colors[2], share);
+                }
+                default:
+                    return palette.colors[index % palette.colors.length];
+            }
+        });
+    }
+
+    /**
+     * Mix two #RGB or #RRGGBB colors
+     * @param {string} from - Start color
+     * @param {string} to - End color
+     * @param {number} amount - 0 = from, 1 = to
+     * @returns {string} #RRGGBB color
+     */
+    static mixColors(from, to, amount) {
+        const parse = hex => {
+            const value = hex.replace('#', '');
+            const full = value.length === 3 ? value.split('').map(char => char + char).join('') : value;
+            return [0, 2, 4].map(offset => parseInt(full.slice(offset, offset + 2), 16) || 0);
+        };
+        const a = parse(from);
+        const b = parse(to);
+        const t = Math.min(1, Math.max(0, amount || 0));
+
+        return '#' + a.map((channel, index) =>
+            Math.round(channel + (b[index] - channel) * t).toString(16).padStart(2, '0')
+        ).join('').toUpperCase();
+    }
+
+    /**
+     * Get the default animation spec read by Animator
+     * Phases run in list order; durations are shares of the video length (they
+     * are normalized, so they need not add up to 100). A phase left out of the
+     * list takes no time. Stagger is the share of the chart phase over which
+     * element starts are spread. Easings are GSAP ease names.
+     * @returns {Object} {phases, racePhases, stagger, entrance ('grow', 'slide', 'drop' or 'fade'), easing}
+     */
+    static getDefaultAnimation() {
+        return {
+            phases: [
+                { name: 'title', duration: 20 },
+                { name: 'chart', duration: 40 },
+                { name: 'labels', duration: 20 },
+                { name: 'hold', duration: 20 }
+            ],
+            racePhases: [
+                { name: 'title', duration: 10 },
+                { name: 'chart', duration: 80 },
+                { name: 'hold', duration: 10 }
+            ],
+            stagger: 0.5,
+            entrance: 'grow',
+            easing: {
+                title: 'power2.out',
+                bars: 'power3.out',
+                line: 'power1.inOut',
+                slices: 'power2.inOut',
+                labels: 'power2.out',
+                race: 'power2.inOut',
+                overlays: 'power2.out'
+            }
+        };
+    }
+
+    /**
+     * Merge a possibly partial animation spec over the defaults
+     * @param {Object} animation - Animation spec, e.g. from an imported config
+     * @returns {Object} Complete animation spec
+     */
+    static resolveAnimation(animation = {}) {
+        const defaults = ConfigManager.getDefaultAnimation();
+
+        return {
+            ...defaults,
+            ...animation,
+            easing: {
+                ...defaults.easing,
+                ...animation?.easing
+            }
+        };
+    }
+
+    /**
+     * Get a new overlay with default settings
+     * Text size is a percentage of fontSize, image size a percentage of the canvas
+     * width. start and duration (seconds) time the entrance animation.
+     * @param {string} type - 'text' (subtitle, source line, caption) or 'image' (logo, watermark)
+     * @returns {Object} {type, text, src (image URL), name (image file name), position, size,
+     *   opacity (0-1), color ('' = text color), entrance, start, duration}
+     */
+    static getDefaultOverlay(type = 'text') {
+        const isImage = type === 'image';
+
+        return {
+            type: isImage ? 'image' : 'text',
+            text: '',
+            src: '',
+            name: '',
+            position: isImage ? 'top-right' : 'subtitle',
+            size: isImage ? 12 : 100,
+            opacity: isImage ? 0.8 : 1,
+            color: '',
+            entrance: 'fade',
+            start: 0,
+            duration: 1
+        };
+    }
+
+    /**
+     * Get default soundtrack settings
+     * The music file itself is not part of the configuration: it lives in the AudioMixer.
+     * @returns {Object} {trimStart, trimEnd (0 = end of file), fadeIn, fadeOut (seconds),
+     *   volume (0-1), pops (pop sound when each bar finishes growing), popVolume (0-1)}
+     */
+    static getDefaultAudio() {
+        return {
+            trimStart: 0,
+            trimEnd: 0,
+            fadeIn: 1,
+            fadeOut: 2,
+            volume: 0.8,
+            pops: false,
+            popVolume: 0.5
+        };
+    }
+
+    /**
+     * Get default data transforms, applied between DataLoader and the renderer
+     * @returns {Object} {sort ('none', 'desc' or 'asc'), topN (0 = every category), others (roll the rest into one bar), othersLabel}
+     */
+    static getDefaultTransforms() {
+        return {
+            sort: 'none',
+            topN: 0,
+            others: false,
+            othersLabel: 'Altri'
+        };
+    }
+
+    /**
+     * Get default number format for value labels
+     * @returns {Object} {prefix, suffix, locale ('' = browser locale), decimals (null = automatic), compact}
+     */
+    static getDefaultNumberFormat() {
+        return {
+            prefix: '$',
+            suffix: '',
+            locale: '',
+            decimals: null,
+            compact: false
         };
     }
 
+    /**
+     * Format a value label with a number format
+     * Used by both the static chart and the animation frames, so they always match.
+     * @param {number} value - Value to format
+     * @param {Object} format - Number format, see getDefaultNumberFormat()
+     * @param {number} autoDecimals - Decimal places used when format.decimals is null
+     * @returns {string} Formatted label, e.g. "$1,234", "1,2 Mln €", "45.5%"
+     */
+    static formatNumber(value, format = {}, autoDecimals = 0) {
+        const { prefix, suffix, locale, decimals, compact } = {
+            ...ConfigManager.getDefaultNumberFormat(),
+            ...format
+        };
+
+        const options = compact
+            ? { notation: 'compact', maximumFractionDigits: decimals ?? 1 }
+            : { minimumFractionDigits: decimals ?? autoDecimals, maximumFractionDigits: decimals ?? autoDecimals };
+
+        let formatted;
+        try {
+            formatted = new Intl.NumberFormat(locale || undefined, options).format(value);
+        } catch (error) {
+            // Unknown locale: fall back to the browser locale
+            formatted = new Intl.NumberFormat(undefined, options).format(value);
+        }
+
+        return `${prefix}${formatted}${suffix}`;
+    }
+
     /**
      * Get resolution dimensions
-     * @param {string} resolution - Resolution string (480p, 720p, 1080p)
+     * 'custom' uses customWidth/customHeight, rounded to even numbers (required by H.264)
+     * @param {string} resolution - Resolution preset (480p, 720p, 1080p, vertical, square, portrait, custom)
      * @returns {Object} {width, height}
      */
     getResolution(resolution) {
         const resolutions = {
             '480p': { width: 854, height: 480 },
             '720p': { width: 1280, height: 720 },
-            '1080p': { width: 1920, height: 1080 }
+            '1080p': { width: 1920, height: 1080 },
+            'vertical': { width: 1080, height: 1920 }, // 9:16 Reels, Stories, TikTok
+            'square': { width: 1080, height: 1080 }, // 1:1
+            'portrait': { width: 1080, height: 1350 } // 4:5 Instagram feed
         };
 
+        if (resolution === 'custom') {
+            const clamp = (value) => {
+                const size = Math.min(3840, Math.max(240, Math.round(Number(value)) || 0));
+                return size - (size % 2);
+            };
+            return {
+                width: clamp(this.config.customWidth),
+                height: clamp(this.config.customHeight)
+            };
+        }
+
         return resolutions[resolution] || resolutions['1080p'];
     }
 
@@ -99,9 +385,31 @@ export class ConfigManager {
     importJSON(json) {
         try {
             const imported = JSON.parse(json);
+            const defaults = this.getDefaultConfig();
             this.config = {
-                ...this.getDefaultConfig(),
-                ...imported
+                ...defaults,
+                ...imported,
+                numberFormat: {
+                    ...defaults.numberFormat,
+                    ...imported.numberFormat
+                },
+                highlight: {
+                    ...defaults.highlight,
+                    ...imported.highlight
+                },
+                transforms: {
+                    ...defaults.transforms,
+                    ...imported.transforms
+                },
+                audio: {
+                    ...defaults.audio,
+                    ...imported.audio
+                },
+                animation: ConfigManager.resolveAnimation(imported.animation),
+                overlays: (Array.isArray(imported.overlays) ? imported.overlays : []).map(overlay => ({
+                    ...ConfigManager.getDefaultOverlay(overlay.type),
+                    ...overlay
+                }))
             };
         } catch (error) {
             throw new Error('Invalid JSON configuration');
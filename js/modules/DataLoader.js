@@ -1,12 +1,38 @@
 /**
  * DataLoader Module
- * Handles loading and parsing data from JSON files
+ * Handles loading and parsing data from JSON, CSV and TSV files
+ *
+ * Every dataset is normalized to a generic schema before it reaches the
+ * renderer:
+ *   { labels: ['USA', ...], series: [{ name: 'gdp', values: [80000, ...] }] }
+ *
+ * Time-indexed data (bar chart race) uses the same schema with one series
+ * per period, named after the period ('2000', '2001', ...).
  */
 
+/**
+ * Legacy field names used by the first version of the data format
+ */
+const LEGACY_MAPPING = { labelKey: 'countries', valueKey: 'gdp' };
+
+/**
+ * Delimiters recognized in CSV/TSV files, in order of preference
+ */
+const DELIMITERS = ['\t', ';', ','];
+
+/**
+ * Field names recognized as period columns in long-format files
+ */
+const PERIOD_FIELD_PATTERN = /^(year|anno|period|periodo|date|data|month|mese)$/i;
+
 export class DataLoader {
     constructor() {
+        this.rawData = null;
         this.data = null;
+        this.transformedData = null;
         this.fileName = null;
+        this.fieldMapping = null;
+        this.parseInfo = null;
     }
 
     /**
@@ -21,12 +47,8 @@ export class DataLoader {
             reader.onload = (e) => {
                 try {
                     const content = e.target.result;
-                    const data = JSON.parse(content);
-
-                    // Validate data structure
-                    this.validateData(data);
+                    const data = this.setRawData(this.parseContent(content, file.name));
 
-                    this.data = data;
                     this.fileName = file.name;
 
                     resolve(data);
@@ -56,12 +78,9 @@ export class DataLoader {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            const data = await response.json();
+            const content = await response.text();
+            const data = this.setRawData(this.parseContent(content, url));
 
-            // Validate data structure
-            this.validateData(data);
-
-            this.data = data;
             this.fileName = url.split('/').pop();
 
             return data;
@@ -70,6 +89,28 @@ export class DataLoader {
         }
     }
 
+    /**
+     * Load data from pasted text: cells copied from a spreadsheet (TSV), CSV or JSON
+     * The format is detected from the content, like a file without extension.
+     * @param {string} text - Pasted text
+     * @returns {Object} Normalized data
+     */
+    loadFromText(text) {
+        if (text.trim() === '') {
+            throw new Error('Gli appunti non contengono dati');
+        }
+
+        try {
+            const data = this.setRawData(this.parseContent(text));
+
+            this.fileName = 'Dati incollati';
+
+            return data;
+        } catch (error) {
+            throw new Error(`Errore nel parsing dei dati incollati: ${error.message}`);
+        }
+    }
+
     /**
      * Load example data (from local file)
      * @returns {Promise<Object>} Example data
@@ -79,38 +120,674 @@ export class DataLoader {
     }
 
     /**
-     * Validate data structure
-     * @param {Object} data - Data to validate
-     * @throws {Error} If data is invalid
+     * Parse file content as JSON or delimited text
+     * The format is chosen from the file extension, falling back to the content
+     * @param {string} content - File content
+     * @param {string} fileName - File name or URL
+     * @returns {Object|Array} Raw data (JSON value or array of records)
+     */
+    parseContent(content, fileName = '') {
+        const extension = fileName.split('?')[0].split('.').pop().toLowerCase();
+        const trimmed = content.trim();
+
+        const isJSON = extension === 'json' ||
+            (!['csv', 'tsv', 'txt'].includes(extension) && /^[[{]/.test(trimmed));
+
+        if (isJSON) {
+            this.parseInfo = { format: 'json' };
+            return JSON.parse(content);
+        }
+
+        const delimiter = extension === 'tsv' ? '\t' : null;
+        return this.parseDelimited(content, delimiter);
+    }
+
+    /**
+     * Parse CSV/TSV text into an array of records
+     * The first row is used as header, unless it already holds data (see hasHeaderRow):
+     * then the columns are named "Colonna 1", "Colonna 2"... Numeric cells are
+     * converted to numbers using the detected decimal separator (e.g. Italian "1.234,56").
+     * @param {string} text - Delimited text
+     * @param {string|null} delimiter - Field delimiter, auto-detected if omitted
+     * @returns {Array<Object>} Records keyed by header name
+     */
+    parseDelimited(text, delimiter = null) {
+        // Strip BOM added by spreadsheet exports
+        const content = text.replace(/^\uFEFF/, '');
+        const usedDelimiter = delimiter || this.detectDelimiter(content);
+
+        const rows = this.splitRows(content, usedDelimiter)
+            .filter(row => row.some(cell => cell.trim() !== ''));
+
+        const hasHeader = rows.length > 0 && this.hasHeaderRow(rows[0]);
+
+        if (rows.length < (hasHeader ? 2 : 1)) {
+            throw new Error('Il file CSV deve contenere una riga di intestazione e almeno una riga di dati');
+        }
+
+        const header = rows[0].map((name, index) => (hasHeader && name.trim()) || `Colonna ${index + 1}`);
+        const body = hasHeader ? rows.slice(1) : rows;
+        const decimalSeparator = this.detectDecimalSeparator(body.flat(), usedDelimiter);
+
+        const records = body.map(row => {
+            const record = {};
+            header.forEach((name, index) => {
+                const cell = (row[index] ?? '').trim();
+                const number = this.parseNumber(cell, decimalSeparator);
+                record[name] = number === null ? cell : number;
+            });
+            return record;
+        });
+
+        this.parseInfo = {
+            format: usedDelimiter === '\t' ? 'tsv' : 'csv',
+            delimiter: usedDelimiter,
+            decimalSeparator,
+            header: hasHeader,
+            columns: header
+        };
+
+        return records;
+    }
+
+    /**
+     * Check whether the first row is a header or already a data row
+     * A row like "Lazio;12" (a text label, then only numbers) is data. Period
+     * headers are numbers too, so a row with a year ("Regione;2023",
+     * "Paese;2000;2010") or with increasing whole numbers ("Paese;1;2;3") is
+     * still taken as a header.
+     * @param {Array<string>} row - Cells of the first row
+     * @returns {boolean} True if the row names the columns
+     */
+    hasHeaderRow(row) {
+        const [label, ...cells] = row.map(cell => cell.trim()).filter((cell, index) => index === 0 || cell !== '');
+        const values = cells.map(cell => this.parseNumber(cell));
+
+        if (label === '' || this.parseNumber(label) !== null || values.length === 0 || values.includes(null)) {
+            return true;
+        }
+
+        const hasYear = cells.some(cell => /^\d{4}$/.test(cell));
+        const isPeriods = values.length > 1 && values.every((value, index) =>
+            Number.isInteger(value) && (index === 0 || value > values[index - 1]));
+
+        return hasYear || isPeriods;
+    }
+
+    /**
+     * Split delimited text into rows of cells
+     * Handles quoted fields, escaped quotes ("") and line breaks inside quotes
+     * @param {string} text - Delimited text
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array<Array<string>>} Rows of cells
+     */
+    splitRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                cell = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Detect the field delimiter (tab, semicolon or comma)
+     * Picks the delimiter that splits the first lines into the same number of columns
+     * @param {string} text - Delimited text
+     * @returns {string} Detected delimiter
+     */
+    detectDelimiter(text) {
+        const sample = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10).join('\n');
+
+        let best = ',';
+        let bestScore = 0;
+
+        DELIMITERS.forEach(delimiter => {
+            const counts = this.splitRows(sample, delimiter).map(row => row.length);
+            const columns = counts[0] || 0;
+
+            if (columns < 2) {
+                return;
+            }
+
+            // Lines that agree with the header column count
+            const score = counts.filter(count => count === columns).length * columns;
+
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Detect the decimal separator used by numeric cells
+     * @param {Array<string>} cells - Cell values
+     * @param {string} delimiter - Field delimiter (semicolon hints at a comma decimal)
+     * @returns {string} '.' or ','
+     */
+    detectDecimalSeparator(cells, delimiter = ',') {
+        let commaVotes = 0;
+        let dotVotes = 0;
+
+        cells.forEach(raw => {
+            const cell = raw.trim().replace(/[\s\u00A0]/g, '');
+
+            if (!/^[-+]?\d[\d.,]*$/.test(cell)) {
+                return;
+            }
+
+            const lastComma = cell.lastIndexOf(',');
+            const lastDot = cell.lastIndexOf('.');
+
+            if (lastComma >= 0 && lastDot >= 0) {
+                // Both present: the last one is the decimal separator
+                lastComma > lastDot ? commaVotes++ : dotVotes++;
+            } else if (lastComma >= 0) {
+                const single = cell.indexOf(',') === lastComma;
+                const decimals = cell.length - lastComma - 1;
+                if (!single) {
+                    dotVotes++;
+                } else if (decimals !== 3) {
+                    commaVotes++;
+                }
+            } else if (lastDot >= 0) {
+                const single = cell.indexOf('.') === lastDot;
+                const decimals = cell.length - lastDot - 1;
+                if (!single) {
+                    commaVotes++;
+                } else if (decimals !== 3) {
+                    dotVotes++;
+                }
+            }
+        });
+
+        if (commaVotes === dotVotes) {
+            return delimiter === ';' ? ',' : '.';
+        }
+
+        return commaVotes > dotVotes ? ',' : '.';
+    }
+
+    /**
+     * Parse a numeric cell
+     * @param {string} cell - Cell value
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {number|null} Parsed number or null if the cell is not numeric
+     */
+    parseNumber(cell, decimalSeparator = '.') {
+        const compact = cell.replace(/[\s\u00A0]/g, '');
+
+        if (!/^[-+]?(\d+|\d[\d.,]*\d|[.,]\d+)$/.test(compact)) {
+            return null;
+        }
+
+        const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+        const normalized = compact
+            .split(thousandsSeparator).join('')
+            .replace(decimalSeparator, '.');
+
+        const value = Number(normalized);
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * Get details about the last parsed file (format, delimiter, columns)
+     * @returns {Object|null} Parse info
+     */
+    getParseInfo() {
+        return this.parseInfo ? { ...this.parseInfo } : null;
+    }
+
+    /**
+     * Store raw data, normalize it and validate the result
+     * @param {Object|Array} raw - Parsed file content
+     * @param {Object|null} mapping - Optional field mapping {labelKey, valueKey}
+     * @returns {Object} Normalized data
+     */
+    setRawData(raw, mapping = null) {
+        const fieldMapping = this.isNormalized(raw) ? null : (mapping || this.detectMapping(raw));
+        const data = this.normalize(raw, fieldMapping);
+
+        // Validate data structure
+        this.validateData(data);
+
+        this.rawData = raw;
+        this.data = data;
+        this.transformedData = null;
+        this.fieldMapping = fieldMapping;
+
+        return data;
+    }
+
+    /**
+     * Convert raw data to a column object {fieldName: [values]}
+     * Accepts an object of arrays or an array of records
+     * @param {Object|Array} raw - Raw data
+     * @returns {Object} Columns keyed by field name
+     */
+    toColumns(raw) {
+        if (Array.isArray(raw)) {
+            const columns = {};
+            raw.forEach((record, index) => {
+                if (!record || typeof record !== 'object') {
+                    throw new Error(`La riga ${index + 1} non è un oggetto valido`);
+                }
+                Object.keys(record).forEach(key => {
+                    if (!columns[key]) {
+                        columns[key] = new Array(raw.length).fill(null);
+                    }
+                    columns[key][index] = record[key];
+                });
+            });
+            return columns;
+        }
+
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('Il file deve contenere un oggetto JSON valido');
+        }
+
+        return Object.fromEntries(
+            Object.entries(raw).filter(([_, value]) => Array.isArray(value))
+        );
+    }
+
+    /**
+     * Find fields usable as labels (categories) and as values
+     * @param {Object|Array} raw - Raw data
+     * @returns {Object} {labelFields: string[], valueFields: string[]}
+     */
+    detectFields(raw) {
+        if (this.isNormalized(raw)) {
+            return { labelFields: [], valueFields: [] };
+        }
+
+        const columns = this.toColumns(raw);
+        const isNumber = val => typeof val === 'number' && !isNaN(val);
+
+        const valueFields = Object.keys(columns)
+            .filter(key => columns[key].length > 0 && columns[key].every(isNumber));
+
+        const labelFields = Object.keys(columns)
+            .filter(key => columns[key].length > 0 && !valueFields.includes(key) &&
+                columns[key].every(val => typeof val === 'string' || isNumber(val)));
+
+        return { labelFields, valueFields };
+    }
+
+    /**
+     * Check whether raw data already follows the generic schema
+     * @param {Object} raw - Raw data
+     * @returns {boolean} True if raw has labels and series arrays
+     */
+    isNormalized(raw) {
+        return !!raw && !Array.isArray(raw) && typeof raw === 'object' &&
+            Array.isArray(raw.labels) && Array.isArray(raw.series);
+    }
+
+    /**
+     * Guess the field mapping for raw data
+     * Legacy countries/gdp files map to themselves
+     * @param {Object|Array} raw - Raw data
+     * @returns {Object} {labelKey, valueKey}
+     */
+    detectMapping(raw) {
+        const { labelFields, valueFields } = this.detectFields(raw);
+
+        if (labelFields.includes(LEGACY_MAPPING.labelKey) && valueFields.includes(LEGACY_MAPPING.valueKey)) {
+            return { ...LEGACY_MAPPING };
+        }
+
+        // Long format: a "year"/"period" column next to label and value columns
+        const periodKey = [...labelFields, ...valueFields]
+            .find(key => PERIOD_FIELD_PATTERN.test(key)) || null;
+        const labelKey = labelFields.find(key => key !== periodKey) || null;
+        const valueKey = valueFields.find(key => key !== periodKey) || null;
+
+        if (periodKey && labelKey && valueKey) {
+            return { labelKey, valueKey, periodKey };
+        }
+
+        return {
+            labelKey: labelFields[0] || null,
+            valueKey: valueFields[0] || null
+        };
+    }
+
+    /**
+     * Normalize raw data to {labels: [], series: [{name, values}]}
+     * @param {Object|Array} raw - Raw data
+     * @param {Object|null} mapping - Field mapping, auto-detected if omitted:
+     *   {labelKey, valueKey} for a single series,
+     *   {labelKey, valueKey, periodKey} for long-format time series (one row per label and period),
+     *   {labelKey, valueKeys: []} for wide-format time series (one column per period)
+     * @returns {Object} Normalized data
+     */
+    normalize(raw, mapping = null) {
+        if (this.isNormalized(raw)) {
+            const data = {
+                labels: raw.labels.map(label => String(label)),
+                series: raw.series.map((serie, index) => ({
+                    name: serie?.name ?? `Serie ${index + 1}`,
+                    values: serie?.values
+                }))
+            };
+
+            // Optional per-category colors {label: color}
+            if (raw.colors !== undefined) {
+                data.colors = raw.colors;
+            }
+
+            return data;
+        }
+
+        const columns = this.toColumns(raw);
+        const { labelKey, valueKey, periodKey, valueKeys } = mapping || this.detectMapping(raw);
+
+        if (!labelKey || !columns[labelKey]) {
+            throw new Error('Nessun campo valido trovato per le etichette (categorie)');
+        }
+
+        if (valueKeys?.length > 0) {
+            const missing = valueKeys.find(key => !columns[key]);
+            if (missing) {
+                throw new Error(`Il campo "${missing}" non esiste nei dati`);
+            }
+
+            return {
+                labels: columns[labelKey].map(label => String(label ?? '')),
+                series: valueKeys.map(key => ({
+                    name: key,
+                    values: columns[key]
+                }))
+            };
+        }
+
+        if (!valueKey || !columns[valueKey]) {
+            throw new Error('Nessun campo numerico trovato per i valori');
+        }
+
+        if (periodKey) {
+            if (!columns[periodKey]) {
+                throw new Error(`Il campo "${periodKey}" non esiste nei dati`);
+            }
+
+            return this.pivotPeriods(columns[labelKey], columns[valueKey], columns[periodKey]);
+        }
+
+        return {
+            labels: columns[labelKey].map(label => String(label ?? '')),
+            series: [{
+                name: valueKey,
+                values: columns[valueKey]
+            }]
+        };
+    }
+
+    /**
+     * Pivot long-format rows (label, value, period) into one series per period
+     * Periods are put in time order (see sortPeriods). A label missing in a
+     * period keeps its previous value (0 before its first appearance).
+     * @param {Array} labelColumn - Label of each row
+     * @param {Array} valueColumn - Value of each row
+     * @param {Array} periodColumn - Period of each row
+     * @returns {Object} Normalized time-indexed data
+     */
+    pivotPeriods(labelColumn, valueColumn, periodColumn) {
+        const labels = [...new Set(labelColumn.map(label => String(label ?? '')))];
+        const periods = this.sortPeriods([...new Set(periodColumn.map(period => String(period ?? '')))]);
+
+        const table = periods.map(() => new Array(labels.length).fill(null));
+
+        labelColumn.forEach((label, row) => {
+            const periodIndex = periods.indexOf(String(periodColumn[row] ?? ''));
+            const labelIndex = labels.indexOf(String(label ?? ''));
+            table[periodIndex][labelIndex] = valueColumn[row];
+        });
+
+        table.forEach((values, periodIndex) => {
+            values.forEach((value, labelIndex) => {
+                if (value === null || value === undefined) {
+                    values[labelIndex] = periodIndex > 0 ? table[periodIndex - 1][labelIndex] : 0;
+                }
+            });
+        });
+
+        return {
+            labels,
+            series: periods.map((name, periodIndex) => ({
+                name,
+                values: table[periodIndex]
+            }))
+        };
+    }
+
+    /**
+     * Put periods in time order
+     * Numbers (years) are compared as numbers, dates ("2020-03", "Mar 2020") as
+     * dates. Anything else (month names, quarters) keeps the order of the file.
+     * @param {Array<string>} periods - Distinct periods, in order of appearance
+     * @returns {Array<string>} Sorted periods
+     */
+    sortPeriods(periods) {
+        const numbers = periods.map(period => (period.trim() === '' ? NaN : Number(period)));
+        if (numbers.every(number => !isNaN(number))) {
+            return [...periods].sort((a, b) => Number(a) - Number(b));
+        }
+
+        const times = new Map(periods.map(period => [period, Date.parse(period)]));
+        if ([...times.values()].every(time => !isNaN(time))) {
+            return [...periods].sort((a, b) => times.get(a) - times.get(b));
+        }
+
+        return [...periods];
+    }
+
+    /**
+     * Check whether data is time-indexed (more than one period)
+     * @param {Object} data - Normalized data, defaults to the loaded data
+     * @returns {boolean} True if data holds several periods
+     */
+    isTimeIndexed(data = this.data) {
+        return !!data && data.series.length > 1;
+    }
+
+    /**
+     * Get the chart type to draw data with: time-indexed data plays as a bar
+     * chart race rather than a bar chart of its first period, and a single
+     * period, which can't race, as a bar chart
+     * @param {string} chartType - Configured chart type
+     * @param {Object} data - Normalized data, defaults to the loaded data
+     * @returns {string} Chart type
+     */
+    getChartType(chartType, data = this.data) {
+        const isTimeIndexed = this.isTimeIndexed(data);
+
+        if (isTimeIndexed && chartType === 'bar') {
+            return 'race';
+        }
+
+        if (!isTimeIndexed && chartType === 'race') {
+            return 'bar';
+        }
+
+        return chartType;
+    }
+
+    /**
+     * Change the field mapping and re-normalize the loaded data
+     * @param {Object} mapping - Field mapping (see normalize)
+     * @returns {Object} Normalized data
+     */
+    setFieldMapping(mapping) {
+        if (!this.rawData) {
+            throw new Error('Nessun dato caricato');
+        }
+
+        return this.setRawData(this.rawData, mapping);
+    }
+
+    /**
+     * Get current field mapping
+     * @returns {Object|null} Field mapping or null for already normalized data
+     */
+    getFieldMapping() {
+        return this.fieldMapping ? { ...this.fieldMapping } : null;
+    }
+
+    /**
+     * Get fields available for mapping in the loaded raw data
+     * @returns {Object} {labelFields: string[], valueFields: string[]}
+     */
+    getAvailableFields() {
+        if (!this.rawData) {
+            return { labelFields: [], valueFields: [] };
+        }
+
+        return this.detectFields(this.rawData);
+    }
+
+    /**
+     * Validate normalized data structure
+     * @param {Object} data - Normalized data to validate
+     * @throws {Error} If data is invalid, with the first problem found
      */
     validateData(data) {
+        const [error] = this.getValidationErrors(data);
+
+        if (error) {
+            throw new Error(error.message);
+        }
+    }
+
+    /**
+     * Find the problems of normalized data, with the cell each one is in
+     * The check stops at the first structural problem, while every invalid
+     * value is reported, so an editor can mark all of them. Empty and repeated
+     * labels are only reported on request: files that have them still load.
+     * @param {Object} data - Normalized data to check
+     * @param {boolean} checkLabels - Also report empty and repeated labels (data editor)
+     * @returns {Array<Object>} {message, row, serie}: label index and series index (or 'label') of the cell,
+     *   null when the problem is not in one cell
+     */
+    getValidationErrors(data, checkLabels = false) {
+        const fail = (message) => [{ message, row: null, serie: null }];
+
         if (!data || typeof data !== 'object') {
-            throw new Error('Il file deve contenere un oggetto JSON valido');
+            return fail('Il file deve contenere un oggetto JSON valido');
         }
 
-        // Check for required fields based on chart type
-        // For now, we support the horizontal bar chart format
-        if (!data.countries || !Array.isArray(data.countries)) {
-            throw new Error('Il campo "countries" è obbligatorio e deve essere un array');
+        if (!Array.isArray(data.labels)) {
+            return fail('Il campo "labels" è obbligatorio e deve essere un array');
         }
 
-        if (!data.gdp || !Array.isArray(data.gdp)) {
-            throw new Error('Il campo "gdp" è obbligatorio e deve essere un array');
+        if (!Array.isArray(data.series) || data.series.length === 0) {
+            return fail('Il campo "series" è obbligatorio e deve contenere almeno una serie');
         }
 
-        if (data.countries.length !== data.gdp.length) {
-            throw new Error('Gli array "countries" e "gdp" devono avere la stessa lunghezza');
+        if (data.labels.length === 0) {
+            return fail('I dati devono contenere almeno un elemento');
         }
 
-        if (data.countries.length === 0) {
-            throw new Error('I dati devono contenere almeno un elemento');
+        const errors = [];
+
+        // Labels are the keys of colors and race bars: each one must be set and unique
+        if (checkLabels) {
+            const firstRows = new Map();
+
+            data.labels.forEach((label, row) => {
+                const text = String(label ?? '');
+
+                if (text.trim() === '') {
+                    errors.push({ message: `Riga ${row + 1}: l'etichetta è vuota`, row, serie: 'label' });
+                } else if (firstRows.has(text)) {
+                    errors.push({
+                        message: `Riga ${row + 1}: l'etichetta "${text}" è già alla riga ${firstRows.get(text) + 1}`,
+                        row,
+                        serie: 'label'
+                    });
+                } else {
+                    firstRows.set(text, row);
+                }
+            });
+        }
+
+        for (const [serieIndex, serie] of data.series.entries()) {
+            if (!Array.isArray(serie.values)) {
+                return fail(`La serie "${serie.name}" deve avere un array "values"`);
+            }
+
+            if (serie.values.length !== data.labels.length) {
+                return fail(`Le etichette e i valori di "${serie.name}" devono avere la stessa lunghezza`);
+            }
+
+            // Validate values are numbers
+            serie.values.forEach((value, row) => {
+                if (typeof value !== 'number' || isNaN(value)) {
+                    const label = data.labels[row] ? ` (${data.labels[row]})` : '';
+                    errors.push({
+                        message: `Riga ${row + 1}${label}: il valore di "${serie.name}" deve essere un numero valido`,
+                        row,
+                        serie: serieIndex
+                    });
+                }
+            });
         }
 
-        // Validate GDP values are numbers
-        const invalidValues = data.gdp.filter(val => typeof val !== 'number' || isNaN(val));
-        if (invalidValues.length > 0) {
-            throw new Error('Tutti i valori di "gdp" devono essere numeri validi');
+        if (errors.length > 0) {
+            return errors;
         }
+
+        if (data.colors !== undefined) {
+            if (!data.colors || typeof data.colors !== 'object' || Array.isArray(data.colors)) {
+                return fail('Il campo "colors" deve essere un oggetto {etichetta: colore}');
+            }
+
+            const invalidColor = Object.entries(data.colors).find(([, color]) => typeof color !== 'string');
+            if (invalidColor) {
+                return fail(`Il colore di "${invalidColor[0]}" deve essere una stringa (es. "#E53935")`);
+            }
+        }
+
+        return [];
     }
 
     /**
@@ -121,6 +798,158 @@ export class DataLoader {
         return this.data;
     }
 
+    /**
+     * Apply sorting, top-N filtering and "Others" aggregation to the loaded data
+     * The loaded data is left untouched, so transforms can change at any time.
+     * @param {Object} transforms - {sort, topN, others, othersLabel} (see ConfigManager.getDefaultTransforms)
+     * @returns {Object|null} Transformed data
+     */
+    applyTransforms(transforms) {
+        this.transformedData = this.data ? this.transform(this.data, transforms) : null;
+        return this.transformedData;
+    }
+
+    /**
+     * Get the data last produced by applyTransforms
+     * @returns {Object|null} Transformed data, or the loaded data when no transform was applied
+     */
+    getTransformedData() {
+        return this.transformedData || this.data;
+    }
+
+    /**
+     * Sort categories, keep the top N and roll the rest into an "Others" category
+     * (merged into the category of the same name, if the data already has one)
+     * Categories are ranked by their largest value in any period, so a bar chart
+     * race keeps every category that reaches the top at some point.
+     * @param {Object} data - Normalized data
+     * @param {Object} transforms - {sort: 'none'|'desc'|'asc', topN: 0 = all, others: boolean, othersLabel}
+     * @returns {Object} New normalized data
+     */
+    transform(data, transforms = {}) {
+        const { sort = 'none', topN = 0, others = false, othersLabel = 'Altri' } = transforms;
+
+        let items = data.labels.map((label, index) => ({
+            label,
+            index,
+            rank: Math.max(...data.series.map(serie => serie.values[index]))
+        }));
+
+        if (sort === 'desc' || sort === 'asc') {
+            const direction = sort === 'desc' ? -1 : 1;
+            items = [...items].sort((a, b) => (a.rank - b.rank) * direction);
+        }
+
+        let rest = [];
+        if (topN > 0 && topN < items.length) {
+            // Top N by value, shown in the chosen order
+            const kept = new Set([...items].sort((a, b) => b.rank - a.rank).slice(0, topN));
+            rest = items.filter(item => !kept.has(item));
+            items = items.filter(item => kept.has(item));
+        }
+
+        const result = {
+            labels: items.map(item => item.label),
+            series: data.series.map(serie => ({
+                name: serie.name,
+                values: items.map(item => serie.values[item.index])
+            }))
+        };
+
+        if (others && rest.length > 0) {
+            // A kept category with the same name already is the "Others" row: add the rest to it
+            const label = othersLabel || 'Altri';
+            let othersIndex = result.labels.indexOf(label);
+            if (othersIndex < 0) {
+                othersIndex = result.labels.push(label) - 1;
+                result.series.forEach(serie => serie.values.push(0));
+            }
+
+            result.series.forEach((serie, serieIndex) => {
+                serie.values[othersIndex] += rest.reduce((sum, item) => sum + data.series[serieIndex].values[item.index], 0);
+            });
+        }
+
+        if (data.colors) {
+            result.colors = data.colors;
+        }
+
+        return result;
+    }
+
+    /**
+     * Write normalized data as JSON, in the schema this loader reads back as is
+     * @param {Object} data - Normalized data
+     * @returns {string} JSON text
+     */
+    toJSON(data) {
+        const { labels, series, colors } = data;
+
+        return JSON.stringify(colors ? { labels, series, colors } : { labels, series }, null, 2);
+    }
+
+    /**
+     * Write normalized data as CSV
+     * A single series becomes two columns (label, values); time-indexed data
+     * becomes long format (label, period, value), which is read back as periods.
+     * So does a single series named with a number (a year): as a column name it
+     * would make the header look like a data row (see hasHeaderRow).
+     * @param {Object} data - Normalized data
+     * @returns {string} CSV text
+     */
+    toCSV(data) {
+        const escape = (cell) => {
+            const text = String(cell ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const numericName = this.parseNumber(String(data.series[0]?.name ?? '')) !== null;
+
+        let rows;
+        if (this.isTimeIndexed(data) || numericName) {
+            rows = [['label', 'period', 'value']];
+            data.series.forEach(serie => {
+                data.labels.forEach((label, index) => rows.push([label, serie.name, serie.values[index]]));
+            });
+        } else {
+            const serie = data.series[0];
+            const valueHeader = serie.name && serie.name !== 'label' ? serie.name : 'value';
+            rows = [['label', valueHeader], ...data.labels.map((label, index) => [label, serie.values[index]])];
+        }
+
+        return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Get what a project file needs to restore the loaded data
+     * @returns {Object|null} {fileName, raw, mapping} or null if no data is loaded
+     */
+    toProject() {
+        if (!this.rawData) {
+            return null;
+        }
+
+        return {
+            fileName: this.fileName,
+            raw: this.rawData,
+            mapping: this.getFieldMapping()
+        };
+    }
+
+    /**
+     * Restore data saved in a project file
+     * @param {Object} saved - {fileName, raw, mapping}, see toProject()
+     * @returns {Object} Normalized data
+     */
+    loadFromProject(saved) {
+        const data = this.setRawData(saved.raw, saved.mapping);
+
+        this.fileName = saved.fileName || null;
+        this.parseInfo = null;
+
+        return data;
+    }
+
     /**
      * Get file name
      * @returns {string|null} File name or null
@@ -131,7 +960,7 @@ export class DataLoader {
 
     /**
      * Get data statistics
-     * @returns {Object} Statistics about the data
+     * @returns {Object} {raw, transformed}: statistics of the loaded data and of the data after applyTransforms
      */
     getStats() {
         if (!this.data) {
@@ -139,10 +968,26 @@ export class DataLoader {
         }
 
         return {
-            rowCount: this.data.countries.length,
-            maxValue: Math.max(...this.data.gdp),
-            minValue: Math.min(...this.data.gdp),
-            avgValue: this.data.gdp.reduce((a, b) => a + b, 0) / this.data.gdp.length
+            raw: this.describe(this.data),
+            transformed: this.describe(this.getTransformedData())
+        };
+    }
+
+    /**
+     * Compute statistics of normalized data
+     * Time-indexed data reports on every period.
+     * @param {Object} data - Normalized data
+     * @returns {Object} {rowCount, seriesCount, maxValue, minValue, avgValue}
+     */
+    describe(data) {
+        const values = data.series.flatMap(serie => serie.values);
+
+        return {
+            rowCount: data.labels.length,
+            seriesCount: data.series.length,
+            maxValue: Math.max(...values),
+            minValue: Math.min(...values),
+            avgValue: values.reduce((a, b) => a + b, 0) / values.length
         };
     }
 
@@ -150,7 +995,11 @@ export class DataLoader {
      * Clear loaded data
      */
     clear() {
+        this.rawData = null;
         this.data = null;
+        this.transformedData = null;
         this.fileName = null;
+        this.fieldMapping = null;
+        this.parseInfo = null;
     }
 }
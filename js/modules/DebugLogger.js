@@ -152,8 +152,8 @@ export class DebugLogger {
         if (!this.enabled) return;
         this.data = JSON.parse(JSON.stringify(data));
         this.log('DEBUG', 'Data saved', {
-            countries: data.countries?.length || 0,
-            values: data.gdp?.length || 0
+            labels: data.labels?.length || 0,
+            series: data.series?.length || 0
         });
     }
 
@@ -0,0 +1,316 @@
+/**
+ * FrameEncoder Module
+ * Encodes canvas frames one at a time with WebCodecs, so every frame lands
+ * in the video at its exact timestamp regardless of rendering speed.
+ * A pre-mixed soundtrack can be added as a second track (AAC in MP4, Opus in WebM).
+ * When the soundtrack can only be encoded in the other container, that
+ * container is used, so the video keeps its sound.
+ */
+
+import { WebMMuxer } from './WebMMuxer.js';
+import { MP4Muxer } from './MP4Muxer.js';
+
+/**
+ * Candidate codecs in order of preference
+ * H.264 levels 4.0 and 5.1 cover up to 1080p and 4K; some encoders accept only one of them.
+ */
+const CODECS = [
+    { format: 'mp4', codec: 'avc1.640028' },
+    { format: 'mp4', codec: 'avc1.4d0028' },
+    { format: 'mp4', codec: 'avc1.42e028' },
+    { format: 'mp4', codec: 'avc1.640033' },
+    { format: 'mp4', codec: 'avc1.42e033' },
+    { format: 'webm', codec: 'vp09.00.41.08', codecId: 'V_VP9' },
+    { format: 'webm', codec: 'vp8', codecId: 'V_VP8' }
+];
+
+/**
+ * Audio codec of each container
+ */
+const AUDIO_CODECS = { mp4: 'mp4a.40.2', webm: 'opus' };
+
+export class FrameEncoder {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.options = {
+            fps: 30,
+            format: 'mp4', // 'mp4' or 'webm'
+            videoBitsPerSecond: 5000000, // 5 Mbps
+            audioBitsPerSecond: 128000,
+            keyFrameInterval: 2, // seconds
+            maxQueueSize: 5,
+            audio: null, // {sampleRate, numberOfChannels} of the soundtrack to add with encodeAudio(), or null
+            ...options
+        };
+
+        this.encoder = null;
+        this.muxer = null;
+        this.format = null;
+        this.mimeType = null;
+        this.audioSupported = false;
+        this.error = null;
+    }
+
+    /**
+     * Check if WebCodecs video encoding is supported
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    }
+
+    /**
+     * Check whether the soundtrack can be encoded for a container
+     * @param {string} format - 'mp4' or 'webm'
+     * @returns {Promise<boolean>} True if the audio codec of the container is supported
+     */
+    async isAudioSupported(format) {
+        if (!this.options.audio || typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') {
+            return false;
+        }
+
+        try {
+            const { supported } = await AudioEncoder.isConfigSupported({
+                codec: AUDIO_CODECS[format],
+                ...this.options.audio,
+                bitrate: this.options.audioBitsPerSecond
+            });
+            return supported;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Pick the container to try first: the requested one, unless only the
+     * other one can carry the soundtrack
+     * @returns {Promise<string>} 'mp4' or 'webm'
+     */
+    async selectFormat() {
+        const requested = this.options.format;
+        const other = requested === 'mp4' ? 'webm' : 'mp4';
+
+        if (!this.options.audio || await this.isAudioSupported(requested)) {
+            return requested;
+        }
+
+        if (await this.isAudioSupported(other)) {
+            console.warn(`No ${AUDIO_CODECS[requested]} audio encoder, encoding ${other} to keep the soundtrack`);
+            return other;
+        }
+
+        return requested;
+    }
+
+    /**
+     * Find the first codec the browser can encode at this size
+     * Codecs of the preferred format come first; the other format is the fallback.
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {string} format - Preferred format, 'mp4' or 'webm'
+     * @returns {Promise<Object|null>} {format, codec, codecId, config} or null
+     */
+    async selectCodec(width, height, format = this.options.format) {
+        const candidates = [
+            ...CODECS.filter(candidate => candidate.format === format),
+            ...CODECS.filter(candidate => candidate.format !== format)
+        ];
+
+        for (const candidate of candidates) {
+            const config = {
+                codec: candidate.codec,
+                width,
+                height,
+                bitrate: this.options.videoBitsPerSecond,
+                framerate: this.options.fps
+            };
+
+            if (candidate.format === 'mp4') {
+                // Length-prefixed NAL units, with the avcC record in the output metadata
+                config.avc = { format: 'avc' };
+            }
+
+            try {
+                const { supported } = await VideoEncoder.isConfigSupported(config);
+                if (supported) {
+                    return { ...candidate, config };
+                }
+            } catch (error) {
+                // Invalid config for this browser, try the next codec
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Configure the encoder and muxer for the canvas size
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const { width, height } = this.canvas;
+        const format = await this.selectFormat();
+        const selected = await this.selectCodec(width, height, format);
+
+        if (!selected) {
+            throw new Error(`No supported video codec for ${width}x${height}`);
+        }
+
+        if (selected.format !== format) {
+            console.warn(`No ${format} codec available, encoding ${selected.format}`);
+        }
+
+        this.error = null;
+        this.format = selected.format;
+        this.audioSupported = await this.isAudioSupported(selected.format);
+        this.muxer = selected.format === 'mp4'
+            ? new MP4Muxer({ width, height, fps: this.options.fps })
+            : new WebMMuxer({ width, height, codecId: selected.codecId, fps: this.options.fps });
+        this.mimeType = this.muxer.mimeType;
+
+        this.encoder = new VideoEncoder({
+            output: (chunk, metadata) => this.muxer.addVideoChunk(chunk, metadata),
+            error: (error) => {
+                this.error = error;
+            }
+        });
+        this.encoder.configure(selected.config);
+
+        console.log(`Frame encoder started: ${selected.codec} ${width}x${height}@${this.options.fps}fps`);
+    }
+
+    /**
+     * Encode the current canvas content as frame N (timestamp N / fps)
+     * @param {number} frameIndex - Frame number, starting at 0
+     * @returns {Promise<void>} Resolves when the encoder can accept more frames
+     */
+    async addFrame(frameIndex) {
+        if (this.error) {
+            throw this.error;
+        }
+
+        const frameDuration = 1e6 / this.options.fps; // microseconds
+        const frame = new VideoFrame(this.canvas, {
+            timestamp: Math.round(frameIndex * frameDuration),
+            duration: Math.round(frameDuration)
+        });
+
+        const keyFrameEvery = Math.max(1, Math.round(this.options.fps * this.options.keyFrameInterval));
+        this.encoder.encode(frame, { keyFrame: frameIndex % keyFrameEvery === 0 });
+        frame.close();
+
+        // Wait while the encoder catches up, to keep memory bounded
+        while (this.encoder.encodeQueueSize > this.options.maxQueueSize) {
+            await this.waitForDequeue();
+        }
+    }
+
+    /**
+     * Wait until the encoder has taken a frame from its queue
+     * @returns {Promise<void>}
+     */
+    waitForDequeue() {
+        return new Promise(resolve => {
+            if ('ondequeue' in this.encoder) {
+                this.encoder.addEventListener('dequeue', resolve, { once: true });
+            } else {
+                setTimeout(resolve, 10);
+            }
+        });
+    }
+
+    /**
+     * Encode a soundtrack into the audio track of the video
+     * The codec follows the container: AAC for MP4, Opus for WebM. Without a
+     * supported audio encoder the video is written silent, with a warning.
+     * The soundtrack format must be passed as the audio option before start().
+     * @param {AudioBuffer} audioBuffer - Mixed soundtrack, starting with the first frame
+     * @returns {Promise<boolean>} True if the audio track was written
+     */
+    async encodeAudio(audioBuffer) {
+        const { sampleRate, numberOfChannels, length } = audioBuffer;
+        const config = {
+            codec: AUDIO_CODECS[this.format],
+            sampleRate,
+            numberOfChannels,
+            bitrate: this.options.audioBitsPerSecond
+        };
+
+        if (!this.audioSupported) {
+            console.warn(`No ${config.codec} audio encoder, the video will be silent`);
+            return false;
+        }
+
+        this.muxer.addAudioTrack({ sampleRate, numberOfChannels, bitrate: config.bitrate });
+
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => this.muxer.addAudioChunk(chunk, metadata),
+            error: (error) => {
+                this.error = error;
+            }
+        });
+        encoder.configure(config);
+
+        // Feed the encoder 100 ms at a time, as planar float samples
+        const blockSize = Math.round(sampleRate / 10);
+        for (let offset = 0; offset < length; offset += blockSize) {
+            const frames = Math.min(blockSize, length - offset);
+            const data = new Float32Array(frames * numberOfChannels);
+
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                data.set(audioBuffer.getChannelData(channel).subarray(offset, offset + frames), channel * frames);
+            }
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels,
+                timestamp: Math.round(offset * 1e6 / sampleRate),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+
+        await encoder.flush();
+        encoder.close();
+
+        if (this.error) {
+            throw this.error;
+        }
+
+        console.log(`Audio encoded: ${config.codec} ${sampleRate}Hz ${numberOfChannels}ch`);
+
+        return true;
+    }
+
+    /**
+     * Flush pending frames and write the video file
+     * @returns {Promise<Blob>} Encoded video
+     */
+    async finish() {
+        await this.encoder.flush();
+
+        if (this.error) {
+            throw this.error;
+        }
+
+        this.encoder.close();
+        this.encoder = null;
+
+        return this.muxer.finalize();
+    }
+
+    /**
+     * Stop encoding and discard frames
+     */
+    cancel() {
+        if (this.encoder && this.encoder.state !== 'closed') {
+            this.encoder.close();
+        }
+
+        this.encoder = null;
+        this.muxer = null;
+    }
+}
@@ -0,0 +1,404 @@
+/**
+ * GifEncoder Module
+ * Encodes canvas frames into an animated GIF with a per-frame palette
+ * (median cut quantization) and optional Floyd-Steinberg dithering
+ */
+
+const MAX_COLORS = 256;
+const HISTOGRAM_BITS = 5; // bits per channel used to group similar colors
+const HISTOGRAM_SIZE = 1 << (HISTOGRAM_BITS * 3);
+
+/**
+ * Histogram key of a color, 5 bits per channel
+ */
+function colorKey(r, g, b) {
+    const shift = 8 - HISTOGRAM_BITS;
+    return ((r >> shift) << (HISTOGRAM_BITS * 2)) | ((g >> shift) << HISTOGRAM_BITS) | (b >> shift);
+}
+
+/**
+ * Build a palette with median cut over the color histogram
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} maxColors - Maximum palette size
+ * @returns {Object} {palette: Array<[r, g, b]>, lookup: Int16Array mapping histogram keys to palette indices}
+ */
+function quantize(pixels, maxColors) {
+    const counts = new Uint32Array(HISTOGRAM_SIZE);
+    const sums = new Float64Array(HISTOGRAM_SIZE * 3);
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        const key = colorKey(pixels[i], pixels[i + 1], pixels[i + 2]);
+        counts[key]++;
+        sums[key * 3] += pixels[i];
+        sums[key * 3 + 1] += pixels[i + 1];
+        sums[key * 3 + 2] += pixels[i + 2];
+    }
+
+    const colors = [];
+    for (let key = 0; key < HISTOGRAM_SIZE; key++) {
+        if (counts[key] > 0) {
+            colors.push({
+                key,
+                count: counts[key],
+                rgb: [sums[key * 3] / counts[key], sums[key * 3 + 1] / counts[key], sums[key * 3 + 2] / counts[key]]
+            });
+        }
+    }
+
+    // Split the box with the widest channel range, weighted by pixel count, until full
+    const boxes = [colors];
+    while (boxes.length < maxColors) {
+        let best = null;
+        let bestScore = 0;
+
+        boxes.forEach((box, index) => {
+            if (box.length < 2) {
+                return;
+            }
+            for (let channel = 0; channel < 3; channel++) {
+                let min = 255;
+                let max = 0;
+                let weight = 0;
+                box.forEach(color => {
+                    min = Math.min(min, color.rgb[channel]);
+                    max = Math.max(max, color.rgb[channel]);
+                    weight += color.count;
+                });
+                const score = (max - min) * Math.sqrt(weight);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = { index, channel };
+                }
+            }
+        });
+
+        if (!best) {
+            break;
+        }
+
+        const box = boxes[best.index].sort((a, b) => a.rgb[best.channel] - b.rgb[best.channel]);
+        const total = box.reduce((sum, color) => sum + color.count, 0);
+        let split = 0;
+        for (let seen = 0; split < box.length - 1 && seen + box[split].count <= total / 2; split++) {
+            seen += box[split].count;
+        }
+        split = Math.max(1, split);
+
+        boxes.splice(best.index, 1, box.slice(0, split), box.slice(split));
+    }
+
+    const lookup = new Int16Array(HISTOGRAM_SIZE).fill(-1);
+    const palette = boxes.map((box, index) => {
+        let count = 0;
+        const rgb = [0, 0, 0];
+        box.forEach(color => {
+            lookup[color.key] = index;
+            count += color.count;
+            for (let channel = 0; channel < 3; channel++) {
+                rgb[channel] += color.rgb[channel] * color.count;
+            }
+        });
+        return rgb.map(value => Math.round(value / count));
+    });
+
+    return { palette, lookup };
+}
+
+/**
+ * Find the palette index closest to a color
+ * Results are cached in the lookup table by histogram key
+ */
+function nearestIndex(palette, lookup, r, g, b) {
+    const key = colorKey(r, g, b);
+    if (lookup[key] >= 0) {
+        return lookup[key];
+    }
+
+    let best = 0;
+    let bestDistance = Infinity;
+    palette.forEach(([pr, pg, pb], index) => {
+        const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = index;
+        }
+    });
+
+    lookup[key] = best;
+    return best;
+}
+
+/**
+ * Map pixels to palette indices, optionally with Floyd-Steinberg error diffusion
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function mapPixels(pixels, width, height, palette, lookup, dither) {
+    const indices = new Uint8Array(width * height);
+
+    if (!dither) {
+        for (let i = 0, p = 0; p < indices.length; i += 4, p++) {
+            indices[p] = nearestIndex(palette, lookup, pixels[i], pixels[i + 1], pixels[i + 2]);
+        }
+        return indices;
+    }
+
+    const buffer = new Float32Array(width * height * 3);
+    for (let i = 0, p = 0; p < indices.length; i += 4, p += 1) {
+        buffer[p * 3] = pixels[i];
+        buffer[p * 3 + 1] = pixels[i + 1];
+        buffer[p * 3 + 2] = pixels[i + 2];
+    }
+
+    const spread = (x, y, errors, factor) => {
+        if (x < 0 || x >= width || y >= height) {
+            return;
+        }
+        const offset = (y * width + x) * 3;
+        buffer[offset] += errors[0] * factor;
+        buffer[offset + 1] += errors[1] * factor;
+        buffer[offset + 2] += errors[2] * factor;
+    };
+
+    const clamp = (value) => Math.min(255, Math.max(0, Math.round(value)));
+    const errors = new Float32Array(3);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const r = clamp(buffer[p * 3]);
+            const g = clamp(buffer[p * 3 + 1]);
+            const b = clamp(buffer[p * 3 + 2]);
+            const index = nearestIndex(palette, lookup, r, g, b);
+            const color = palette[index];
+
+            errors[0] = r - color[0];
+            errors[1] = g - color[1];
+            errors[2] = b - color[2];
+
+            indices[p] = index;
+            if (errors[0] === 0 && errors[1] === 0 && errors[2] === 0) {
+                continue;
+            }
+            spread(x + 1, y, errors, 7 / 16);
+            spread(x - 1, y + 1, errors, 3 / 16);
+            spread(x, y + 1, errors, 5 / 16);
+            spread(x + 1, y + 1, errors, 1 / 16);
+        }
+    }
+
+    return indices;
+}
+
+/**
+ * Compress palette indices with GIF LZW, split into data sub-blocks
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size (palette bits, at least 2)
+ * @returns {Uint8Array} Image data bytes (min code size, sub-blocks, terminator)
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [minCodeSize];
+    const block = [];
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bits = 0;
+    let bitCount = 0;
+    const table = new Map();
+
+    const writeByte = (byte) => {
+        block.push(byte);
+        if (block.length === 255) {
+            output.push(255, ...block);
+            block.length = 0;
+        }
+    };
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            writeByte(bits & 0xFF);
+            bits >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const pixel = indices[i];
+        const key = (prefix << 8) | pixel;
+        const code = table.get(key);
+
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+
+        if (nextCode < 4096) {
+            table.set(key, nextCode);
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+            nextCode++;
+        } else {
+            emit(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+
+        prefix = pixel;
+    }
+
+    emit(prefix);
+    emit(endCode);
+
+    if (bitCount > 0) {
+        writeByte(bits & 0xFF);
+    }
+    if (block.length > 0) {
+        output.push(block.length, ...block);
+    }
+    output.push(0);
+
+    return new Uint8Array(output);
+}
+
+export class GifEncoder {
+    /**
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} options - {fps, loop (0 = forever, N = play N times), dither}
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.options = {
+            fps: 15,
+            loop: 0,
+            dither: false,
+            ...options
+        };
+
+        this.parts = [];
+        this.frameCount = 0;
+        this.pending = null;
+        this.mimeType = 'image/gif';
+
+        this.writeHeader();
+    }
+
+    /**
+     * Write the GIF header, screen descriptor and loop extension
+     */
+    writeHeader() {
+        const header = [
+            ...'GIF89a'.split('').map(char => char.charCodeAt(0)),
+            this.width & 0xFF, this.width >> 8,
+            this.height & 0xFF, this.height >> 8,
+            0x00, // no global color table
+            0x00, // background color index
+            0x00 // pixel aspect ratio
+        ];
+
+        // The loop extension counts repetitions after the first play; without it the GIF plays once
+        if (this.options.loop !== 1) {
+            const repeat = this.options.loop > 1 ? this.options.loop - 1 : 0;
+            header.push(
+                0x21, 0xFF, 0x0B,
+                ...'NETSCAPE2.0'.split('').map(char => char.charCodeAt(0)),
+                0x03, 0x01,
+                repeat & 0xFF, (repeat >> 8) & 0xFF,
+                0x00
+            );
+        }
+
+        this.parts.push(new Uint8Array(header));
+    }
+
+    /**
+     * Add a frame
+     * Consecutive identical frames are merged into one longer frame.
+     * @param {ImageData} imageData - Frame pixels (width × height)
+     */
+    addFrame(imageData) {
+        // GIF delays are in hundredths of a second: spread rounding over frames
+        const delay = Math.round((this.frameCount + 1) * 100 / this.options.fps)
+            - Math.round(this.frameCount * 100 / this.options.fps);
+        this.frameCount++;
+
+        if (this.pending && this.isSameImage(this.pending.pixels, imageData.data)) {
+            this.pending.delay += delay;
+            return;
+        }
+
+        this.flushPending();
+        this.pending = { pixels: new Uint8ClampedArray(imageData.data), delay };
+    }
+
+    /**
+     * Compare two frames pixel by pixel
+     */
+    isSameImage(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Encode the pending frame
+     */
+    flushPending() {
+        if (!this.pending) {
+            return;
+        }
+
+        const { pixels, delay } = this.pending;
+        const { palette, lookup } = quantize(pixels, MAX_COLORS);
+        const indices = mapPixels(pixels, this.width, this.height, palette, lookup, this.options.dither);
+
+        const paletteBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+        const colorTable = new Uint8Array(3 * (1 << paletteBits));
+        palette.forEach((rgb, index) => colorTable.set(rgb, index * 3));
+
+        const frameHeader = new Uint8Array([
+            // Graphic control extension: delay, no transparency
+            0x21, 0xF9, 0x04, 0x04, delay & 0xFF, (delay >> 8) & 0xFF, 0x00, 0x00,
+            // Image descriptor with local color table
+            0x2C, 0, 0, 0, 0,
+            this.width & 0xFF, this.width >> 8,
+            this.height & 0xFF, this.height >> 8,
+            0x80 | (paletteBits - 1)
+        ]);
+
+        this.parts.push(frameHeader, colorTable, lzwEncode(indices, Math.max(2, paletteBits)));
+        this.pending = null;
+    }
+
+    /**
+     * Write the last frame and the trailer
+     * @returns {Blob} GIF image
+     */
+    finish() {
+        if (this.frameCount === 0) {
+            throw new Error('No frames to encode');
+        }
+
+        this.flushPending();
+        this.parts.push(new Uint8Array([0x3B]));
+
+        return new Blob(this.parts, { type: this.mimeType });
+    }
+}
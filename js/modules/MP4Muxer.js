@@ -0,0 +1,434 @@
+/**
+ * MP4Muxer Module
+ * Writes encoded H.264 chunks (WebCodecs, AVC format) into an MP4 (ISO BMFF) container,
+ * optionally with an AAC audio track
+ */
+
+const TIMESCALE = 90000; // video track ticks per second
+const MOVIE_TIMESCALE = 1000; // movie header ticks per second
+
+const IDENTITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * Encode unsigned integers big-endian
+ * @param {number} bytes - Bytes per value (1, 2 or 4)
+ * @param {...number} values - Values to encode
+ * @returns {Uint8Array} Encoded bytes
+ */
+function uint(bytes, ...values) {
+    const result = new Uint8Array(bytes * values.length);
+    const view = new DataView(result.buffer);
+    values.forEach((value, index) => {
+        if (bytes === 1) {
+            view.setUint8(index, value);
+        } else if (bytes === 2) {
+            view.setUint16(index * 2, value);
+        } else {
+            view.setUint32(index * 4, value);
+        }
+    });
+    return result;
+}
+
+/**
+ * Encode a four-character code or other ASCII string
+ */
+function ascii(text) {
+    return new Uint8Array([...text].map(char => char.charCodeAt(0)));
+}
+
+/**
+ * Build a box
+ * @param {string} type - Four-character box type
+ * @param {...Uint8Array} contents - Payload parts
+ * @returns {Uint8Array} Encoded box
+ */
+function box(type, ...contents) {
+    const payload = concat(contents);
+    return concat([uint(4, payload.length + 8), ascii(type), payload]);
+}
+
+/**
+ * Build a full box (box with version and flags)
+ */
+function fullBox(type, version, flags, ...contents) {
+    return box(type, uint(1, version), uint(1, flags >> 16, (flags >> 8) & 0xFF, flags & 0xFF), ...contents);
+}
+
+/**
+ * Build an MPEG-4 descriptor (payloads under 128 bytes)
+ * @param {number} tag - Descriptor tag
+ * @param {...Uint8Array} contents - Payload parts
+ * @returns {Uint8Array} Encoded descriptor
+ */
+function descriptor(tag, ...contents) {
+    const payload = concat(contents);
+    return concat([uint(1, tag, payload.length), payload]);
+}
+
+/**
+ * Copy a decoder description (ArrayBuffer or view) into a new byte array
+ * @param {BufferSource} description - Description from the encoder metadata
+ * @returns {Uint8Array} Bytes
+ */
+function copyDescription(description) {
+    return ArrayBuffer.isView(description)
+        ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength).slice()
+        : new Uint8Array(description).slice();
+}
+
+/**
+ * Sampling rates indexed as in the AAC AudioSpecificConfig
+ */
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000];
+
+export class MP4Muxer {
+    /**
+     * @param {Object} options - {width, height, fps}
+     */
+    constructor(options) {
+        this.options = {
+            fps: 30,
+            ...options
+        };
+        this.chunks = [];
+        this.decoderConfig = null;
+        this.audio = null;
+        this.audioChunks = [];
+        this.mimeType = 'video/mp4';
+    }
+
+    /**
+     * Add an encoded video chunk
+     * @param {EncodedVideoChunk} chunk - Chunk from VideoEncoder output (AVC format)
+     * @param {Object} metadata - Output metadata, carries the avcC record on key frames
+     */
+    addVideoChunk(chunk, metadata = {}) {
+        const description = metadata.decoderConfig?.description;
+        if (description && !this.decoderConfig) {
+            this.decoderConfig = copyDescription(description);
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        this.chunks.push({
+            data,
+            timestamp: chunk.timestamp, // microseconds
+            keyFrame: chunk.type === 'key'
+        });
+    }
+
+    /**
+     * Declare the audio track, before adding audio chunks
+     * @param {Object} audio - {sampleRate, numberOfChannels, bitrate} of the AAC stream
+     */
+    addAudioTrack(audio) {
+        this.audio = { ...audio, decoderConfig: null };
+    }
+
+    /**
+     * Add an encoded audio chunk
+     * @param {EncodedAudioChunk} chunk - Chunk from AudioEncoder output (AAC, raw frames)
+     * @param {Object} metadata - Output metadata, carries the AudioSpecificConfig as description
+     */
+    addAudioChunk(chunk, metadata = {}) {
+        const description = metadata.decoderConfig?.description;
+        if (description && !this.audio.decoderConfig) {
+            this.audio.decoderConfig = copyDescription(description);
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        this.audioChunks.push({
+            data,
+            timestamp: chunk.timestamp, // microseconds
+            duration: chunk.duration // microseconds
+        });
+    }
+
+    /**
+     * Write the MP4 file, with the movie box before the media data
+     * @returns {Blob} MP4 video
+     */
+    finalize() {
+        if (this.chunks.length === 0) {
+            throw new Error('No video frames to mux');
+        }
+
+        if (!this.decoderConfig) {
+            throw new Error('Missing H.264 decoder configuration');
+        }
+
+        const video = this.getVideoTrack();
+        const audio = this.audio && this.audioChunks.length > 0 ? this.getAudioTrack() : null;
+
+        const ftyp = box('ftyp', ascii('isom'), uint(4, 0x200), ascii('isomiso2avc1mp41'));
+
+        // Chunk offsets have a fixed size, so the moov size does not depend on them.
+        // Audio samples follow the video samples in the media data.
+        const videoBytes = this.chunks.reduce((sum, chunk) => sum + chunk.data.length, 0);
+        const audioBytes = this.audioChunks.reduce((sum, chunk) => sum + chunk.data.length, 0);
+        const moovSize = this.buildMoov(video, audio, 0).length;
+        const mdatPayloadOffset = ftyp.length + moovSize + 8;
+        const moov = this.buildMoov(video, audio, mdatPayloadOffset, mdatPayloadOffset + videoBytes);
+
+        const mdatSize = videoBytes + (audio ? audioBytes : 0) + 8;
+        const mdat = [
+            uint(4, mdatSize),
+            ascii('mdat'),
+            ...this.chunks.map(chunk => chunk.data),
+            ...(audio ? this.audioChunks.map(chunk => chunk.data) : [])
+        ];
+
+        return new Blob([ftyp, moov, ...mdat], { type: this.mimeType });
+    }
+
+    /**
+     * Sample durations and duration of the video track, in video track ticks
+     * @returns {Object} {durations, trackDuration}
+     */
+    getVideoTrack() {
+        const durations = this.getSampleDurations();
+        return {
+            durations,
+            trackDuration: durations.reduce((sum, duration) => sum + duration, 0)
+        };
+    }
+
+    /**
+     * Sample durations and duration of the audio track, in samples (audio timescale = sample rate)
+     * @returns {Object} {durations, trackDuration}
+     */
+    getAudioTrack() {
+        const { sampleRate } = this.audio;
+        const ticks = this.audioChunks.map(chunk => Math.round(chunk.timestamp * sampleRate / 1e6));
+        const last = this.audioChunks[this.audioChunks.length - 1];
+        const lastDuration = last.duration ? Math.round(last.duration * sampleRate / 1e6) : 1024;
+
+        const durations = ticks.map((tick, index) => (
+            index < ticks.length - 1 ? ticks[index + 1] - tick : lastDuration
+        ));
+
+        return {
+            durations,
+            trackDuration: durations.reduce((sum, duration) => sum + duration, 0)
+        };
+    }
+
+    /**
+     * Sample durations in track ticks, from the gaps between timestamps
+     * @returns {Array<number>} Durations
+     */
+    getSampleDurations() {
+        const ticks = this.chunks.map(chunk => Math.round(chunk.timestamp * TIMESCALE / 1e6));
+        const frameDuration = Math.round(TIMESCALE / this.options.fps);
+
+        return ticks.map((tick, index) => (
+            index < ticks.length - 1 ? ticks[index + 1] - tick : frameDuration
+        ));
+    }
+
+    /**
+     * Build the movie box
+     * @param {Object} video - Video track {durations, trackDuration} in video track ticks
+     * @param {Object|null} audio - Audio track {durations, trackDuration} in samples, null without audio
+     * @param {number} videoOffset - File offset of the first video sample
+     * @param {number} audioOffset - File offset of the first audio sample
+     * @returns {Uint8Array} moov box
+     */
+    buildMoov(video, audio, videoOffset, audioOffset = 0) {
+        const videoDuration = Math.round(video.trackDuration * MOVIE_TIMESCALE / TIMESCALE);
+        const audioDuration = audio ? Math.round(audio.trackDuration * MOVIE_TIMESCALE / this.audio.sampleRate) : 0;
+
+        const mvhd = fullBox('mvhd', 0, 0,
+            uint(4, 0, 0, MOVIE_TIMESCALE, Math.max(videoDuration, audioDuration)),
+            uint(4, 0x00010000), // rate 1.0
+            uint(2, 0x0100), // volume 1.0
+            new Uint8Array(10),
+            uint(4, ...IDENTITY_MATRIX),
+            new Uint8Array(24),
+            uint(4, audio ? 3 : 2) // next track ID
+        );
+
+        const traks = [this.buildVideoTrak(video, videoDuration, videoOffset)];
+        if (audio) {
+            traks.push(this.buildAudioTrak(audio, audioDuration, audioOffset));
+        }
+
+        return box('moov', mvhd, ...traks);
+    }
+
+    /**
+     * Build the video track (track 1)
+     * @param {Object} video - {durations, trackDuration} in video track ticks
+     * @param {number} movieDuration - Track duration in movie ticks
+     * @param {number} dataOffset - File offset of the first sample
+     * @returns {Uint8Array} trak box
+     */
+    buildVideoTrak(video, movieDuration, dataOffset) {
+        const { width, height } = this.options;
+
+        const tkhd = fullBox('tkhd', 0, 0x3, // enabled, in movie
+            uint(4, 0, 0, 1, 0, movieDuration),
+            new Uint8Array(8),
+            uint(2, 0, 0, 0, 0), // layer, alternate group, volume, reserved
+            uint(4, ...IDENTITY_MATRIX),
+            uint(4, width * 0x10000, height * 0x10000)
+        );
+
+        const mdhd = fullBox('mdhd', 0, 0,
+            uint(4, 0, 0, TIMESCALE, video.trackDuration),
+            uint(2, 0x55C4, 0) // language 'und'
+        );
+
+        const hdlr = fullBox('hdlr', 0, 0,
+            uint(4, 0),
+            ascii('vide'),
+            new Uint8Array(12),
+            ascii('VideoHandler\0')
+        );
+
+        const avc1 = box('avc1',
+            new Uint8Array(6),
+            uint(2, 1), // data reference index
+            new Uint8Array(16),
+            uint(2, width, height),
+            uint(4, 0x00480000, 0x00480000, 0), // 72 dpi
+            uint(2, 1), // frame count
+            new Uint8Array(32), // compressor name
+            uint(2, 0x0018, 0xFFFF), // depth, pre-defined
+            box('avcC', this.decoderConfig)
+        );
+
+        const syncSamples = this.chunks
+            .map((chunk, index) => (chunk.keyFrame ? index + 1 : 0))
+            .filter(sample => sample > 0);
+
+        const vmhd = fullBox('vmhd', 0, 1, uint(2, 0, 0, 0, 0));
+        const stbl = this.buildStbl(avc1, video.durations, this.chunks, dataOffset, syncSamples);
+        const minf = box('minf', vmhd, this.buildDinf(), stbl);
+
+        return box('trak', tkhd, box('mdia', mdhd, hdlr, minf));
+    }
+
+    /**
+     * Build the audio track (track 2)
+     * @param {Object} audio - {durations, trackDuration} in samples
+     * @param {number} movieDuration - Track duration in movie ticks
+     * @param {number} dataOffset - File offset of the first sample
+     * @returns {Uint8Array} trak box
+     */
+    buildAudioTrak(audio, movieDuration, dataOffset) {
+        const { sampleRate, numberOfChannels, bitrate = 128000 } = this.audio;
+
+        const tkhd = fullBox('tkhd', 0, 0x3, // enabled, in movie
+            uint(4, 0, 0, 2, 0, movieDuration),
+            new Uint8Array(8),
+            uint(2, 0, 1, 0x0100, 0), // layer, alternate group, volume 1.0, reserved
+            uint(4, ...IDENTITY_MATRIX),
+            uint(4, 0, 0)
+        );
+
+        const mdhd = fullBox('mdhd', 0, 0,
+            uint(4, 0, 0, sampleRate, audio.trackDuration),
+            uint(2, 0x55C4, 0) // language 'und'
+        );
+
+        const hdlr = fullBox('hdlr', 0, 0,
+            uint(4, 0),
+            ascii('soun'),
+            new Uint8Array(12),
+            ascii('SoundHandler\0')
+        );
+
+        // AAC-LC AudioSpecificConfig, when the encoder did not provide one
+        const rateIndex = Math.max(0, AAC_SAMPLE_RATES.indexOf(sampleRate));
+        const audioSpecificConfig = this.audio.decoderConfig ||
+            uint(1, (2 << 3) | (rateIndex >> 1), ((rateIndex & 1) << 7) | (numberOfChannels << 3));
+
+        const esds = fullBox('esds', 0, 0,
+            descriptor(0x03, uint(2, 2), uint(1, 0), // ES descriptor: ES ID, flags
+                descriptor(0x04,
+                    uint(1, 0x40, 0x15), // MPEG-4 audio, audio stream
+                    uint(1, 0, 0, 0), // buffer size
+                    uint(4, bitrate, bitrate), // max and average bitrate
+                    descriptor(0x05, audioSpecificConfig)
+                ),
+                descriptor(0x06, uint(1, 0x02)) // SL config: MP4
+            )
+        );
+
+        const mp4a = box('mp4a',
+            new Uint8Array(6),
+            uint(2, 1), // data reference index
+            new Uint8Array(8),
+            uint(2, numberOfChannels, 16, 0, 0), // channels, sample size, pre-defined, reserved
+            uint(4, sampleRate * 0x10000),
+            esds
+        );
+
+        const smhd = fullBox('smhd', 0, 0, uint(2, 0, 0));
+        const stbl = this.buildStbl(mp4a, audio.durations, this.audioChunks, dataOffset, null);
+        const minf = box('minf', smhd, this.buildDinf(), stbl);
+
+        return box('trak', tkhd, box('mdia', mdhd, hdlr, minf));
+    }
+
+    /**
+     * Build the data information box (media in the same file)
+     * @returns {Uint8Array} dinf box
+     */
+    buildDinf() {
+        return box('dinf', fullBox('dref', 0, 0, uint(4, 1), fullBox('url ', 0, 1)));
+    }
+
+    /**
+     * Build a sample table: one chunk holding every sample of the track
+     * @param {Uint8Array} sampleEntry - avc1 or mp4a sample entry
+     * @param {Array<number>} durations - Sample durations in track ticks
+     * @param {Array<Object>} samples - Samples {data}
+     * @param {number} dataOffset - File offset of the first sample
+     * @param {Array<number>|null} syncSamples - 1-based key frame numbers, null when every sample is a sync sample
+     * @returns {Uint8Array} stbl box
+     */
+    buildStbl(sampleEntry, durations, samples, dataOffset, syncSamples) {
+        // Run-length encode durations
+        const timeToSample = [];
+        durations.forEach(duration => {
+            const last = timeToSample[timeToSample.length - 1];
+            if (last && last.duration === duration) {
+                last.count++;
+            } else {
+                timeToSample.push({ count: 1, duration });
+            }
+        });
+
+        return box('stbl',
+            fullBox('stsd', 0, 0, uint(4, 1), sampleEntry),
+            fullBox('stts', 0, 0, uint(4, timeToSample.length,
+                ...timeToSample.flatMap(entry => [entry.count, entry.duration]))),
+            ...(syncSamples ? [fullBox('stss', 0, 0, uint(4, syncSamples.length, ...syncSamples))] : []),
+            fullBox('stsc', 0, 0, uint(4, 1, 1, samples.length, 1)),
+            fullBox('stsz', 0, 0, uint(4, 0, samples.length,
+                ...samples.map(sample => sample.data.length))),
+            fullBox('stco', 0, 0, uint(4, 1, dataOffset))
+        );
+    }
+}
@@ -0,0 +1,328 @@
+/**
+ * OverlayRenderer Module
+ * Lays out and draws the overlay layer: text blocks (subtitle, source line,
+ * captions) and images (logo, watermark) on top of the chart
+ *
+ * Overlay format (see ConfigManager.getDefaultOverlay):
+ *   { type: 'text'|'image', text, src, name, position, size, opacity, color,
+ *     entrance, start, duration }
+ * Text size is a percentage of the chart font size, image size a percentage
+ * of the canvas width. Overlays sharing a position stack in list order.
+ */
+
+/**
+ * Overlay anchors
+ * 'subtitle' sits under the title and pushes the chart down; top corners start
+ * level with the title and push the chart down when they are taller than it;
+ * bottom anchors reserve their height under the chart so a source line never
+ * covers the axis. 'center' is a watermark, drawn over the chart on purpose.
+ */
+const POSITIONS = ['subtitle', 'top-left', 'top-right', 'center', 'bottom-left', 'bottom-center', 'bottom-right'];
+
+/**
+ * Entrance animations, played from overlay.start for overlay.duration seconds
+ */
+const ENTRANCES = ['none', 'fade', 'slide', 'zoom', 'typewriter'];
+
+/**
+ * Images by source URL, shared by every renderer so the preview, the
+ * recording and each scene decode a logo only once
+ * @type {Map<string, {image: HTMLImageElement, loaded: boolean, promise: Promise}>}
+ */
+const images = new Map();
+
+export class OverlayRenderer {
+    /**
+     * @param {ChartRenderer} chartRenderer - Renderer providing canvas, config and text measuring
+     */
+    constructor(chartRenderer) {
+        this.chartRenderer = chartRenderer;
+    }
+
+    /**
+     * Get the available overlay positions
+     * @returns {Array<string>} Position names
+     */
+    static getPositions() {
+        return [...POSITIONS];
+    }
+
+    /**
+     * Get the available entrance animations
+     * @returns {Array<string>} Entrance names
+     */
+    static getEntrances() {
+        return [...ENTRANCES];
+    }
+
+    /**
+     * Load an image once and keep it for every later draw
+     * @param {string} src - Image URL (usually a data URL of an uploaded file)
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    static loadImage(src) {
+        if (!images.has(src)) {
+            const image = new Image();
+            const entry = { image, loaded: false, promise: null };
+
+            entry.promise = new Promise((resolve, reject) => {
+                image.onload = () => {
+                    entry.loaded = true;
+                    resolve(image);
+                };
+                image.onerror = () => {
+                    images.delete(src);
+                    reject(new Error('Immagine non valida'));
+                };
+            });
+            image.src = src;
+
+            images.set(src, entry);
+        }
+
+        return images.get(src).promise;
+    }
+
+    /**
+     * Load the images of an overlay list before rendering
+     * Images that fail to load are left out of the frames.
+     * @param {Array<Object>} overlays - Overlay list
+     * @returns {Promise<void>}
+     */
+    static async loadImages(overlays = []) {
+        const sources = overlays
+            .filter(overlay => overlay.type === 'image' && overlay.src)
+            .map(overlay => overlay.src);
+
+        await Promise.all(sources.map(src =>
+            OverlayRenderer.loadImage(src).catch(error => {
+                console.warn('Overlay image not loaded:', error.message);
+            })
+        ));
+    }
+
+    /**
+     * Get an image if it has finished loading
+     * @param {string} src - Image URL
+     * @returns {HTMLImageElement|null} Image, or null while it is still loading
+     */
+    getImage(src) {
+        const entry = images.get(src);
+        return entry?.loaded ? entry.image : null;
+    }
+
+    /**
+     * Place every overlay on the canvas
+     * Overlays sharing a position keep their list order from top to bottom.
+     * @param {Object} frame - Layout around the overlays
+     *   {margin, titleTop: top of the safe area, titleBottom: bottom of the title, safeBottom: bottom band height}
+     * @returns {Object} {boxes: one box or null per overlay, top: height reserved under the title
+     *   (subtitles, and top corners reaching below the title), bottom: height reserved under the chart}
+     */
+    layout({ margin, titleTop, titleBottom, safeBottom }) {
+        const { width, height } = this.chartRenderer.canvas;
+        const overlays = this.chartRenderer.config.overlays || [];
+        const gap = Math.round(margin / 2);
+        const stacks = {};
+
+        // Measure first: bottom stacks grow upwards from the bottom edge
+        const measured = overlays.map(overlay => {
+            const position = POSITIONS.includes(overlay.position) ? overlay.position : 'subtitle';
+            const box = this.measure(overlay, position, width - margin * 2);
+
+            if (!box) {
+                return null;
+            }
+
+            const offset = stacks[position] || 0;
+            stacks[position] = offset + box.height + gap;
+            return { ...box, offset };
+        });
+
+        const boxes = measured.map(box => {
+            if (!box) {
+                return null;
+            }
+
+            const stackBottom = height - safeBottom - (stacks[box.position] - gap);
+
+            switch (box.position) {
+                case 'top-left':
+                    return { ...box, x: margin, y: titleTop + box.offset };
+                case 'top-right':
+                    return { ...box, x: width - margin - box.width, y: titleTop + box.offset };
+                case 'center':
+                    return { ...box, x: (width - box.width) / 2, y: (height - stacks.center + gap) / 2 + box.offset };
+                case 'bottom-left':
+                    return { ...box, x: margin, y: stackBottom + box.offset };
+                case 'bottom-center':
+                    return { ...box, x: (width - box.width) / 2, y: stackBottom + box.offset };
+                case 'bottom-right':
+                    return { ...box, x: width - margin - box.width, y: stackBottom + box.offset };
+                default:
+                    return { ...box, x: (width - box.width) / 2, y: titleBottom + gap + box.offset };
+            }
+        });
+
+        const bottom = Math.max(0, ...['bottom-left', 'bottom-center', 'bottom-right'].map(position => stacks[position] || 0));
+
+        // A logo in a corner is often taller than the title: the chart starts under both
+        const cornerBottom = titleTop + Math.max(stacks['top-left'] || 0, stacks['top-right'] || 0);
+
+        return {
+            boxes,
+            top: Math.max(stacks.subtitle || 0, cornerBottom - titleBottom),
+            bottom
+        };
+    }
+
+    /**
+     * Measure one overlay
+     * @param {Object} overlay - Overlay
+     * @param {string} position - Resolved position
+     * @param {number} maxWidth - Width available between the margins
+     * @returns {Object|null} {overlay, position, width, height, lines, fontSize, lineHeight, image},
+     *   null when there is nothing to draw
+     */
+    measure(overlay, position, maxWidth) {
+        const { canvas, config } = this.chartRenderer;
+        const size = Math.max(1, Number(overlay.size) || 100);
+
+        if (overlay.type === 'image') {
+            const image = overlay.src ? this.getImage(overlay.src) : null;
+            if (!image || !image.width) {
+                return null;
+            }
+
+            const imageWidth = Math.min(maxWidth, canvas.width * size / 100);
+            return {
+                overlay,
+                position,
+                image,
+                width: imageWidth,
+                height: imageWidth * image.height / image.width
+            };
+        }
+
+        const text = String(overlay.text || '').trim();
+        if (!text) {
+            return null;
+        }
+
+        // Corner blocks wrap at half the width so they leave room for the chart
+        const wrapWidth = position.endsWith('left') || position.endsWith('right') ? maxWidth / 2 : maxWidth;
+        const fontSize = Math.max(8, Math.round(config.fontSize * size / 100));
+        const lineHeight = Math.round(fontSize * 1.25);
+        const lines = text.split('\n').flatMap(line => this.chartRenderer.wrapText(line, wrapWidth, fontSize));
+
+        return {
+            overlay,
+            position,
+            lines,
+            fontSize,
+            lineHeight,
+            width: Math.max(...lines.map(line => this.chartRenderer.measureText(line, fontSize))),
+            height: lines.length * lineHeight
+        };
+    }
+
+    /**
+     * Draw the overlays
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Array<Object|null>} boxes - Boxes from layout()
+     * @param {Array<Object>|null} states - One {progress: 0-1} entrance state per overlay,
+     *   null to draw every overlay fully entered (static preview)
+     */
+    draw(ctx, boxes, states = null) {
+        boxes.forEach((box, index) => {
+            if (!box) {
+                return;
+            }
+
+            const progress = states ? (states[index]?.progress ?? 0) : 1;
+            if (progress <= 0) {
+                return;
+            }
+
+            ctx.save();
+            this.drawBox(ctx, box, progress);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Draw one overlay at an entrance progress
+     * 'slide' comes in from the nearest side edge (from below for centered overlays),
+     * 'zoom' grows from half size, 'typewriter' reveals text one character at a time.
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} box - Overlay box from layout()
+     * @param {number} progress - Entrance progress (0-1, may overshoot with back or elastic easings)
+     */
+    drawBox(ctx, box, progress) {
+        const { canvas } = this.chartRenderer;
+        const { overlay, position } = box;
+        const shown = Math.min(1, Math.max(0, progress));
+        const remaining = 1 - progress;
+        const isText = overlay.type !== 'image';
+        let opacity = Math.min(1, Math.max(0, overlay.opacity ?? 1));
+        let charsVisible = Infinity;
+
+        switch (overlay.entrance) {
+            case 'fade':
+                opacity *= shown;
+                break;
+            case 'slide':
+                if (position.endsWith('left')) {
+                    ctx.translate(-remaining * (box.x + box.width), 0);
+                } else if (position.endsWith('right')) {
+                    ctx.translate(remaining * (canvas.width - box.x), 0);
+                } else if (position === 'bottom-center') {
+                    ctx.translate(0, remaining * (canvas.height - box.y));
+                } else {
+                    ctx.translate(0, remaining * (box.lineHeight || box.height / 4));
+                    opacity *= shown;
+                }
+                break;
+            case 'zoom': {
+                const scale = Math.max(0, 0.5 + 0.5 * progress);
+                ctx.translate(box.x + box.width / 2, box.y + box.height / 2);
+                ctx.scale(scale, scale);
+                ctx.translate(-(box.x + box.width / 2), -(box.y + box.height / 2));
+                opacity *= shown;
+                break;
+            }
+            case 'typewriter':
+                if (isText) {
+                    charsVisible = Math.floor(shown * box.lines.join('').length);
+                } else {
+                    opacity *= shown;
+                }
+                break;
+        }
+
+        ctx.globalAlpha = opacity;
+
+        if (!isText) {
+            ctx.drawImage(box.image, box.x, box.y, box.width, box.height);
+            return;
+        }
+
+        const { config } = this.chartRenderer;
+        const align = position.endsWith('left') ? 'left' : position.endsWith('right') ? 'right' : 'center';
+        const x = align === 'left' ? box.x : align === 'right' ? box.x + box.width : box.x + box.width / 2;
+
+        ctx.font = `${box.fontSize}px "${config.fontFamily}"`;
+        ctx.fillStyle = overlay.color || this.chartRenderer.getTextColor();
+        ctx.textAlign = align;
+        ctx.textBaseline = 'top';
+
+        let remainingChars = charsVisible;
+        box.lines.forEach((line, index) => {
+            if (remainingChars <= 0) {
+                return;
+            }
+            ctx.fillText(line.substring(0, remainingChars), x, box.y + index * box.lineHeight);
+            remainingChars -= line.length;
+        });
+    }
+}
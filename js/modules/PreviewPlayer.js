@@ -0,0 +1,189 @@
+/**
+ * PreviewPlayer Module
+ * Plays the animation on the preview canvas, so the motion can be checked
+ * without generating a video: play/pause, seeking by timeline progress,
+ * loop and frame stepping. Frames are drawn by Animator, the same code that
+ * draws the recording.
+ *
+ * The position is kept as a share of the timeline when the chart is
+ * reloaded (e.g. after an edit), so it stays in the same phase even when
+ * the duration changes.
+ */
+
+import { Animator } from './Animator.js';
+
+export class PreviewPlayer {
+    /**
+     * @param {Function} onChange - Called with {time, duration, progress, playing} when the state changes
+     */
+    constructor(onChange = null) {
+        this.onChange = onChange;
+        this.animator = null;
+        this.fps = 30;
+        this.progress = 1; // 0-1, the final frame until the user plays or seeks
+        this.playing = false;
+        this.loop = false;
+    }
+
+    /**
+     * Build the timeline of a rendered chart, at the current position
+     * @param {ChartRenderer} chartRenderer - Renderer of the preview canvas, already rendered
+     * @param {Object} options - {duration (seconds), typewriter, fps}
+     */
+    load(chartRenderer, { duration, typewriter = false, fps = 30 }) {
+        const wasPlaying = this.playing;
+
+        this.destroyAnimator();
+        this.fps = fps;
+        this.animator = new Animator(chartRenderer, duration, null, typewriter);
+        this.animator.createTimeline(
+            () => this.handleUpdate(),
+            () => this.handleComplete()
+        );
+        this.animator.seek(this.progress * this.getDuration());
+
+        if (wasPlaying && this.progress < 1) {
+            this.play();
+        } else {
+            this.playing = false;
+            this.notify();
+        }
+    }
+
+    /**
+     * Play from the current position, from the start if at the end
+     */
+    play() {
+        if (!this.animator) return;
+
+        if (this.progress >= 1) {
+            this.animator.seek(0);
+            this.progress = 0;
+        }
+
+        this.playing = true;
+        this.animator.play();
+        this.notify();
+    }
+
+    /**
+     * Pause at the current position
+     */
+    pause() {
+        if (!this.animator) return;
+
+        this.playing = false;
+        this.animator.pause();
+        this.notify();
+    }
+
+    /**
+     * Play or pause
+     */
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Pause and show the frame at a share of the timeline
+     * @param {number} progress - Position (0-1)
+     */
+    seek(progress) {
+        if (!this.animator) return;
+
+        this.progress = Math.min(1, Math.max(0, progress));
+        this.playing = false;
+        this.animator.seek(this.progress * this.getDuration());
+        this.notify();
+    }
+
+    /**
+     * Pause and move by whole frames, on the frame grid of the video
+     * @param {number} frames - Frames to move (negative to go back)
+     */
+    step(frames) {
+        if (!this.animator) return;
+
+        const duration = this.getDuration();
+        const frame = Math.round(this.progress * duration * this.fps) + frames;
+
+        this.seek(frame / this.fps / duration);
+    }
+
+    /**
+     * Restart at the end of the timeline
+     * @param {boolean} loop - True to loop
+     */
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    /**
+     * Follow the timeline while it plays
+     */
+    handleUpdate() {
+        this.progress = this.animator.timeline.progress();
+        this.notify();
+    }
+
+    /**
+     * Stop at the end, or start again when looping
+     */
+    handleComplete() {
+        if (this.loop) {
+            this.animator.seek(0);
+            this.progress = 0;
+            this.animator.play();
+            return;
+        }
+
+        this.progress = 1;
+        this.playing = false;
+        this.notify();
+    }
+
+    /**
+     * Get the length of the timeline, which progress is measured against
+     * @returns {number} Duration in seconds
+     */
+    getDuration() {
+        return this.animator ? this.animator.timeline.duration() : 0;
+    }
+
+    /**
+     * Report the state to the listener
+     */
+    notify() {
+        if (!this.onChange || !this.animator) return;
+
+        const duration = this.getDuration();
+        this.onChange({
+            time: this.progress * duration,
+            duration,
+            progress: this.progress,
+            playing: this.playing
+        });
+    }
+
+    /**
+     * Release the timeline, keeping the position for the next load()
+     */
+    destroyAnimator() {
+        if (this.animator) {
+            this.animator.destroy();
+            this.animator = null;
+        }
+    }
+
+    /**
+     * Stop playing and release the timeline
+     */
+    destroy() {
+        this.playing = false;
+        this.destroyAnimator();
+    }
+}
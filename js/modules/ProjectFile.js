@@ -0,0 +1,242 @@
+/**
+ * ProjectFile Module
+ * Saves and restores a whole project as one JSON file: the dataset, the full
+ * configuration (animation spec, overlays with their logos as data URLs),
+ * the scene list, the font of the chart and the background music
+ *
+ * Project format:
+ *   { format: 'videocharts-project', version: 1, savedAt,
+ *     data: { fileName, raw, mapping }, config, scenes, typewriter,
+ *     assets: { fonts: [{ family, src }], music: { name, src } | null } }
+ * Asset src are data URLs, so the file opens on any machine.
+ */
+
+const FORMAT = 'videocharts-project';
+const VERSION = 1;
+const EXTENSION = '.videocharts.json';
+
+/**
+ * Font families already registered from a project, so reopening it does not add them twice
+ */
+const loadedFonts = new Set();
+
+export class ProjectFile {
+    /**
+     * Get the file name of a saved project (a JSON file, accepted by the drop zone)
+     * @param {string} title - Chart title
+     * @returns {string} File name, e.g. "gdp-by-country.videocharts.json"
+     */
+    static getFileName(title = '') {
+        return `${ProjectFile.slugify(title) || 'progetto'}${EXTENSION}`;
+    }
+
+    /**
+     * Turn a title into a file name part: lowercase ASCII words joined by dashes
+     * @param {string} title - Chart title
+     * @returns {string} Slug (empty for a title with no letters or digits)
+     */
+    static slugify(title = '') {
+        return title.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    }
+
+    /**
+     * Build a project from the editor state
+     * @param {Object} state - {data: {fileName, raw, mapping}, config, scenes, typewriter, music (File|null)}
+     * @returns {Promise<Object>} Project, ready for JSON.stringify
+     */
+    static async create({ data, config, scenes = [], typewriter = false, music = null }) {
+        const families = [config, ...scenes.map(scene => scene.config)]
+            .map(sceneConfig => sceneConfig?.fontFamily)
+            .filter(Boolean);
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            savedAt: new Date().toISOString(),
+            data,
+            config,
+            scenes,
+            typewriter,
+            assets: {
+                fonts: await ProjectFile.embedFonts([...new Set(families)]),
+                music: music ? { name: music.name, src: await ProjectFile.toDataURL(music) } : null
+            }
+        };
+    }
+
+    /**
+     * Serialize a project
+     * @param {Object} project - Project from create()
+     * @returns {Blob} JSON file
+     */
+    static toBlob(project) {
+        return new Blob([JSON.stringify(project)], { type: 'application/json' });
+    }
+
+    /**
+     * Download a project file
+     * @param {Object} project - Project from create()
+     * @param {string} fileName - File name, see getFileName()
+     */
+    static download(project, fileName) {
+        const url = URL.createObjectURL(ProjectFile.toBlob(project));
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = fileName;
+
+        document.body.appendChild(a);
+        a.click();
+
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 100);
+
+        console.log(`Project saved: ${fileName}`);
+    }
+
+    /**
+     * Read a file and return the project it holds
+     * Data files (CSV, TSV, plain JSON datasets) return null, so the caller can load them as data.
+     * @param {File} file - Dropped or selected file
+     * @returns {Promise<Object|null>} Project or null
+     */
+    static async read(file) {
+        if (!/\.json$/i.test(file.name)) {
+            return null;
+        }
+
+        let value;
+        try {
+            value = JSON.parse(await file.text());
+        } catch (error) {
+            return null; // not JSON: let the data loader report the error
+        }
+
+        if (!ProjectFile.isProject(value)) {
+            return null;
+        }
+
+        if (value.version > VERSION) {
+            throw new Error('Progetto creato con una versione più recente dell\'app');
+        }
+
+        if (!value.data?.raw || !value.config) {
+            throw new Error('File di progetto incompleto');
+        }
+
+        return value;
+    }
+
+    /**
+     * Check whether a parsed JSON value is a project
+     * @param {*} value - Parsed JSON
+     * @returns {boolean} True for a project
+     */
+    static isProject(value) {
+        return Boolean(value) && typeof value === 'object' && value.format === FORMAT;
+    }
+
+    /**
+     * Embed the font files of the given families, as declared by @font-face rules of the page
+     * Fonts the page does not declare (system fonts) are skipped.
+     * @param {Array<string>} families - Font family names
+     * @returns {Promise<Array<Object>>} [{family, src (data URL)}]
+     */
+    static async embedFonts(families) {
+        const fonts = [];
+
+        for (const { family, url } of ProjectFile.findFontFaces(families)) {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                fonts.push({ family, src: await ProjectFile.toDataURL(await response.blob()) });
+            } catch (error) {
+                console.warn(`Font "${family}" not embedded: ${error.message}`);
+            }
+        }
+
+        return fonts;
+    }
+
+    /**
+     * Find the font file URL of each family in the @font-face rules of the page
+     * @param {Array<string>} families - Font family names
+     * @returns {Array<Object>} [{family, url}]
+     */
+    static findFontFaces(families) {
+        const faces = [];
+
+        for (const sheet of document.styleSheets) {
+            let rules;
+            try {
+                rules = sheet.cssRules;
+            } catch (error) {
+                continue; // cross-origin stylesheet
+            }
+
+            for (const rule of rules) {
+                if (!(rule instanceof CSSFontFaceRule)) continue;
+
+                const family = rule.style.getPropertyValue('font-family').replace(/["']/g, '').trim();
+                const src = rule.style.getPropertyValue('src').match(/url\(\s*["']?([^"')]+)["']?\s*\)/);
+
+                if (src && families.includes(family) && !faces.some(face => face.family === family)) {
+                    faces.push({ family, url: new URL(src[1], sheet.href || document.baseURI).href });
+                }
+            }
+        }
+
+        return faces;
+    }
+
+    /**
+     * Register the fonts embedded in a project, so charts render with them
+     * even where the page does not provide them
+     * @param {Array<Object>} fonts - [{family, src}]
+     * @returns {Promise<void>}
+     */
+    static async loadFonts(fonts = []) {
+        for (const { family, src } of fonts) {
+            if (loadedFonts.has(family)) continue;
+
+            try {
+                const face = new FontFace(family, `url(${src})`);
+                await face.load();
+                document.fonts.add(face);
+                loadedFonts.add(family);
+            } catch (error) {
+                console.warn(`Font "${family}" not loaded: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Turn an embedded asset back into a file
+     * @param {string} src - Data URL
+     * @param {string} name - File name
+     * @returns {Promise<File>} File
+     */
+    static async toFile(src, name) {
+        const blob = await (await fetch(src)).blob();
+        return new File([blob], name, { type: blob.type });
+    }
+
+    /**
+     * Read a file or blob as a data URL
+     * @param {Blob} blob - File or blob
+     * @returns {Promise<string>} Data URL
+     */
+    static toDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Errore nella lettura del file'));
+            reader.readAsDataURL(blob);
+        });
+    }
+}
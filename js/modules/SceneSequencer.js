@@ -0,0 +1,441 @@
+/**
+ * SceneSequencer Module
+ * Plays several scenes (charts and title cards) in one recording
+ *
+ * Every scene renders on its own offscreen canvas with its own timeline.
+ * The scene timelines are nested into one master GSAP timeline, and each
+ * frame is composited onto the output canvas, mixing the two scenes that
+ * overlap during a transition.
+ *
+ * Scene format:
+ *   { type: 'chart', data, config, duration, typewriter, transition }
+ *   { type: 'card', title, subtitle, config, duration, transition }
+ * config holds overrides of the base configuration; transition
+ * {type: 'cut'|'crossfade'|'slide'|'wipe', duration} is how the scene enters.
+ *
+ * The sequencer has the same playback interface as Animator (createTimeline,
+ * seek, renderFrames, play, getAudioCues, destroy), so VideoRecorder records it unchanged.
+ */
+
+import { ChartRenderer } from './ChartRenderer.js';
+import { Animator } from './Animator.js';
+
+/**
+ * Transitions between scenes
+ */
+const TRANSITIONS = ['cut', 'crossfade', 'slide', 'wipe'];
+
+export class SceneSequencer {
+    /**
+     * @param {HTMLCanvasElement} canvas - Output canvas
+     * @param {Array<Object>} scenes - Scene list (see module comment)
+     * @param {Object} baseConfig - Configuration shared by every scene
+     * @param {DebugLogger} debugLogger - Optional debug logger
+     */
+    constructor(canvas, scenes, baseConfig, debugLogger = null) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.scenes = scenes;
+        this.baseConfig = baseConfig;
+        this.debugLogger = debugLogger;
+        this.timeline = null;
+        this.runtimes = [];
+        this.duration = 0;
+        this.frameCounter = 0;
+    }
+
+    /**
+     * Create a chart scene
+     * @param {Object} data - Normalized chart data
+     * @param {Object} config - Chart configuration
+     * @param {number} duration - Scene duration in seconds
+     * @param {boolean} typewriter - Typewriter title effect
+     * @returns {Object} Scene
+     */
+    static createChartScene(data, config, duration, typewriter = false) {
+        return {
+            type: 'chart',
+            data,
+            config,
+            duration,
+            typewriter,
+            transition: SceneSequencer.getDefaultTransition()
+        };
+    }
+
+    /**
+     * Create a title card scene
+     * @param {string} title - Main text
+     * @param {string} subtitle - Secondary text
+     * @param {number} duration - Scene duration in seconds
+     * @returns {Object} Scene
+     */
+    static createCardScene(title, subtitle = '', duration = 3) {
+        return {
+            type: 'card',
+            title,
+            subtitle,
+            config: {},
+            duration,
+            transition: SceneSequencer.getDefaultTransition()
+        };
+    }
+
+    /**
+     * Get the transition used by new scenes
+     * @returns {Object} {type, duration in seconds}
+     */
+    static getDefaultTransition() {
+        return { type: 'crossfade', duration: 0.8 };
+    }
+
+    /**
+     * Get the names of the available transitions
+     * @returns {Array<string>} Transition types
+     */
+    static getTransitionTypes() {
+        return [...TRANSITIONS];
+    }
+
+    /**
+     * Build every scene and nest their timelines into the master timeline
+     * Scenes overlap by their transition duration, capped at half of the shorter scene.
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @param {Function} onComplete - Completion callback
+     * @returns {gsap.core.Timeline} Master timeline (paused)
+     */
+    createTimeline(onProgress = null, onComplete = null) {
+        if (this.scenes.length === 0) {
+            throw new Error('Nessuna scena da riprodurre');
+        }
+
+        this.destroyScenes();
+        this.frameCounter = 0;
+
+        this.timeline = gsap.timeline({
+            paused: true,
+            onUpdate: () => {
+                this.drawFrame();
+
+                if (onProgress) {
+                    onProgress(this.timeline.progress() * 100);
+                }
+            },
+            onComplete: () => {
+                if (this.debugLogger?.isEnabled()) {
+                    this.debugLogger.log('ANIMATION', 'Scene sequence completed', {
+                        scenes: this.scenes.length,
+                        duration: this.duration
+                    });
+                }
+
+                if (onComplete) {
+                    onComplete();
+                }
+            }
+        });
+
+        let end = 0;
+        this.runtimes = this.scenes.map((scene, index) => {
+            const runtime = this.createRuntime(scene);
+            const previous = index > 0 ? this.scenes[index - 1] : null;
+            const transition = this.getTransition(scene, previous);
+
+            runtime.start = Math.max(0, end - transition.duration);
+            runtime.end = runtime.start + scene.duration;
+            runtime.transition = transition;
+            end = runtime.end;
+
+            // Child timelines are created paused; the master drives them
+            this.timeline.add(runtime.timeline.paused(false), runtime.start);
+
+            return runtime;
+        });
+
+        this.duration = end;
+        this.timeline.set({}, {}, this.duration);
+
+        if (this.debugLogger?.isEnabled()) {
+            this.debugLogger.log('ANIMATION', 'Scene sequence created', {
+                scenes: this.runtimes.map(runtime => ({
+                    start: runtime.start,
+                    end: runtime.end,
+                    transition: runtime.transition.type
+                })),
+                duration: this.duration
+            });
+        }
+
+        this.drawFrame();
+
+        return this.timeline;
+    }
+
+    /**
+     * Get the transition into a scene, capped so scenes never overlap more than halfway
+     * @param {Object} scene - Incoming scene
+     * @param {Object|null} previous - Outgoing scene, null for the first scene
+     * @returns {Object} {type, duration}
+     */
+    getTransition(scene, previous) {
+        const transition = { ...SceneSequencer.getDefaultTransition(), ...scene.transition };
+
+        if (!previous || !TRANSITIONS.includes(transition.type) || transition.type === 'cut') {
+            return { type: 'cut', duration: 0 };
+        }
+
+        const maxDuration = Math.min(previous.duration, scene.duration) / 2;
+        return {
+            type: transition.type,
+            duration: Math.min(Math.max(0, Number(transition.duration) || 0), maxDuration)
+        };
+    }
+
+    /**
+     * Create the offscreen canvas, renderer and timeline of a scene
+     * @param {Object} scene - Scene
+     * @returns {Object} {canvas, timeline, cues, draw, destroy}
+     */
+    createRuntime(scene) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+
+        const renderer = new ChartRenderer(canvas, { ...this.baseConfig, ...scene.config });
+
+        if (scene.type === 'card') {
+            return this.createCardRuntime(scene, renderer);
+        }
+
+        renderer.render(scene.data);
+
+        const animator = new Animator(renderer, scene.duration, this.debugLogger, scene.typewriter);
+        const timeline = animator.createTimeline();
+
+        return {
+            canvas,
+            timeline,
+            cues: animator.getAudioCues(),
+            draw: () => animator.drawFrame(),
+            destroy: () => {
+                animator.destroy();
+                renderer.destroy();
+            }
+        };
+    }
+
+    /**
+     * Create a title card: the title rises and fades in, then the subtitle
+     * @param {Object} scene - Card scene {title, subtitle, duration}
+     * @param {ChartRenderer} renderer - Renderer of the card canvas, used for layout and colors
+     * @returns {Object} {canvas, timeline, cues, draw, destroy}
+     */
+    createCardRuntime(scene, renderer) {
+        const state = { title: 0, subtitle: 0 };
+        const draw = () => this.drawCard(renderer, scene, state);
+
+        const timeline = gsap.timeline({ paused: true });
+        timeline.to(state, { title: 1, duration: scene.duration * 0.3, ease: 'power2.out', onUpdate: draw }, 0);
+        timeline.to(state, { subtitle: 1, duration: scene.duration * 0.3, ease: 'power2.out', onUpdate: draw }, scene.duration * 0.2);
+        timeline.set({}, {}, scene.duration);
+
+        draw();
+
+        return {
+            canvas: renderer.canvas,
+            timeline,
+            cues: [],
+            draw,
+            destroy: () => {
+                timeline.kill();
+                renderer.destroy();
+            }
+        };
+    }
+
+    /**
+     * Draw a title card
+     * @param {ChartRenderer} renderer - Card renderer
+     * @param {Object} scene - Card scene {title, subtitle}
+     * @param {Object} state - {title: 0-1, subtitle: 0-1} entrance progress
+     */
+    drawCard(renderer, scene, state) {
+        const { canvas, ctx, config } = renderer;
+        const titleSize = Math.floor(config.fontSize * 2);
+        const subtitleSize = Math.floor(config.fontSize * 1.1);
+        const maxWidth = canvas.width * 0.8;
+
+        const titleLines = renderer.wrapText(String(scene.title || '').toUpperCase(), maxWidth, titleSize);
+        const subtitleLines = renderer.wrapText(String(scene.subtitle || ''), maxWidth, subtitleSize);
+        const titleHeight = titleLines.length * titleSize * 1.2;
+        const subtitleHeight = subtitleLines.length * subtitleSize * 1.3;
+        const gap = subtitleLines.length > 0 ? config.fontSize : 0;
+        const top = (canvas.height - titleHeight - gap - subtitleHeight) / 2;
+        const rise = config.fontSize;
+
+        ctx.save();
+        ctx.fillStyle = config.bgColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = renderer.getTextColor();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        ctx.globalAlpha = Math.min(1, Math.max(0, state.title));
+        ctx.font = `${titleSize}px "${config.fontFamily}"`;
+        titleLines.forEach((line, index) => {
+            ctx.fillText(line, canvas.width / 2, top + index * titleSize * 1.2 + (1 - state.title) * rise);
+        });
+
+        ctx.globalAlpha = Math.min(1, Math.max(0, state.subtitle));
+        ctx.font = `${subtitleSize}px "${config.fontFamily}"`;
+        subtitleLines.forEach((line, index) => {
+            const y = top + titleHeight + gap + index * subtitleSize * 1.3;
+            ctx.fillText(line, canvas.width / 2, y + (1 - state.subtitle) * rise);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Composite the scenes visible at the current master time onto the output canvas
+     */
+    drawFrame() {
+        if (!this.timeline) {
+            return;
+        }
+
+        const time = this.timeline.time();
+        const last = this.runtimes.length - 1;
+        const visible = this.runtimes.filter((runtime, index) => (
+            time >= runtime.start && (time < runtime.end || index === last)
+        ));
+
+        const { width, height } = this.canvas;
+        this.ctx.save();
+        this.ctx.fillStyle = this.baseConfig.bgColor;
+        this.ctx.fillRect(0, 0, width, height);
+
+        visible.forEach((runtime, index) => {
+            // Scene timelines only redraw on their own updates, so redraw at the current state
+            runtime.draw();
+
+            const incoming = index > 0 && runtime.transition.duration > 0;
+            if (!incoming) {
+                this.ctx.drawImage(runtime.canvas, 0, 0);
+                return;
+            }
+
+            const progress = Math.min(1, (time - runtime.start) / runtime.transition.duration);
+            const ease = gsap.parseEase('power2.inOut')(progress);
+
+            this.ctx.save();
+            switch (runtime.transition.type) {
+                case 'slide':
+                    // The outgoing scene moves out to the left as the new one pushes in
+                    this.ctx.fillRect(0, 0, width, height);
+                    this.ctx.drawImage(visible[index - 1].canvas, -ease * width, 0);
+                    this.ctx.drawImage(runtime.canvas, (1 - ease) * width, 0);
+                    break;
+                case 'wipe':
+                    this.ctx.beginPath();
+                    this.ctx.rect(0, 0, ease * width, height);
+                    this.ctx.clip();
+                    this.ctx.drawImage(runtime.canvas, 0, 0);
+                    break;
+                default:
+                    this.ctx.globalAlpha = ease;
+                    this.ctx.drawImage(runtime.canvas, 0, 0);
+            }
+            this.ctx.restore();
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Play the master timeline in real time
+     */
+    play() {
+        if (this.timeline) {
+            this.timeline.play();
+        }
+    }
+
+    /**
+     * Pause the master timeline
+     */
+    pause() {
+        if (this.timeline) {
+            this.timeline.pause();
+        }
+    }
+
+    /**
+     * Draw the sequence at an exact time, without firing callbacks
+     * @param {number} time - Time in seconds
+     */
+    seek(time) {
+        if (!this.timeline) {
+            return;
+        }
+
+        this.timeline.pause();
+        this.timeline.seek(time, true);
+        this.drawFrame();
+    }
+
+    /**
+     * Render the sequence frame by frame at exact times (frame N = N / fps)
+     * @param {number} fps - Frames per second
+     * @param {Function} onFrame - async (frameIndex, totalFrames) => void, called after each frame is drawn
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @returns {Promise<number>} Number of rendered frames
+     */
+    async renderFrames(fps, onFrame, onProgress = null) {
+        if (!this.timeline) {
+            throw new Error('No timeline to render');
+        }
+
+        const totalFrames = await Animator.renderPlayerFrames(this, this.duration, fps, onFrame, onProgress);
+
+        this.frameCounter = totalFrames;
+
+        return totalFrames;
+    }
+
+    /**
+     * Get the total duration of the sequence (scenes minus transition overlaps)
+     * @returns {number} Duration in seconds
+     */
+    getDuration() {
+        return this.duration;
+    }
+
+    /**
+     * Get the times of the sound effects of every scene, on the sequence clock
+     * @returns {Array<number>} Times in seconds
+     */
+    getAudioCues() {
+        return this.runtimes.flatMap(runtime => runtime.cues.map(time => runtime.start + time));
+    }
+
+    /**
+     * Release scene canvases, renderers and timelines
+     */
+    destroyScenes() {
+        this.runtimes.forEach(runtime => runtime.destroy());
+        this.runtimes = [];
+    }
+
+    /**
+     * Kill the master timeline and every scene
+     */
+    destroy() {
+        if (this.timeline) {
+            this.timeline.kill();
+            this.timeline = null;
+        }
+
+        this.destroyScenes();
+    }
+}
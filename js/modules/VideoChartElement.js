@@ -0,0 +1,287 @@
+/**
+ * VideoChartElement Module
+ * <video-chart> custom element: plays the chart animation live on any page
+ *
+ *   <video-chart src="data/gdp.csv" config="gdp.videocharts.json" autoplay loop></video-chart>
+ *
+ * Attributes:
+ *   src         data file URL (JSON, CSV, TSV)
+ *   config      configuration or project file URL (a project brings its own data)
+ *   autoplay    start playing once loaded; otherwise the last frame is shown
+ *   loop        restart at the end
+ *   typewriter  type the title letter by letter
+ * The data and config properties take objects and win over the attributes.
+ *
+ * Methods: play(), pause(), restart(), render(options) -> Promise<Blob>, cancel()
+ * Events: 'ready' chart loaded, 'ended' animation finished, 'error' loading failed
+ *   (detail {error}), 'progress' and 'warning' during render() (see VideoRenderer)
+ */
+
+import { DataLoader } from './DataLoader.js';
+import { ChartRenderer } from './ChartRenderer.js';
+import { Animator } from './Animator.js';
+import { OverlayRenderer } from './OverlayRenderer.js';
+import { ProjectFile } from './ProjectFile.js';
+import { VideoRenderer } from './VideoRenderer.js';
+
+const STYLE = `
+    :host { display: block; }
+    :host([hidden]) { display: none; }
+    canvas { display: block; width: 100%; height: auto; }
+`;
+
+export class VideoChartElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'config', 'typewriter'];
+    }
+
+    constructor() {
+        super();
+
+        const shadow = this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = STYLE;
+        this.canvas = document.createElement('canvas');
+        this.canvas.setAttribute('role', 'img');
+        shadow.append(style, this.canvas);
+
+        this.chartData = null; // set through the data property
+        this.chartConfig = null; // set through the config property
+        this.source = null; // {data, mapping, config, typewriter} of the chart on screen
+        this.renderer = null;
+        this.animator = null;
+        this.videoRenderer = null;
+        this.loadId = 0;
+    }
+
+    get data() {
+        return this.chartData;
+    }
+
+    set data(value) {
+        this.chartData = value;
+        this.load();
+    }
+
+    get config() {
+        return this.chartConfig;
+    }
+
+    set config(value) {
+        this.chartConfig = value;
+        this.load();
+    }
+
+    connectedCallback() {
+        this.load();
+    }
+
+    disconnectedCallback() {
+        this.destroyChart();
+    }
+
+    attributeChangedCallback() {
+        this.load();
+    }
+
+    /**
+     * Fetch the sources and draw the chart
+     * Calls that overlap (e.g. several attributes set in a row) keep only the last one.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.isConnected) {
+            return;
+        }
+
+        const loadId = ++this.loadId;
+
+        // Let the attributes and properties set in the same task settle first
+        await null;
+        if (loadId !== this.loadId) {
+            return;
+        }
+
+        try {
+            const source = await this.readSources();
+
+            if (loadId !== this.loadId || !source.data) {
+                return;
+            }
+
+            await this.setupChart(source);
+            this.dispatchEvent(new CustomEvent('ready'));
+
+            if (this.hasAttribute('autoplay')) {
+                this.play();
+            }
+        } catch (error) {
+            console.error('video-chart:', error);
+            this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+        }
+    }
+
+    /**
+     * Collect data and configuration from the properties and the attributes
+     * @returns {Promise<Object>} {data, mapping, config, typewriter}
+     */
+    async readSources() {
+        let config = this.chartConfig;
+        let data = this.chartData;
+        let mapping = null;
+        let typewriter = this.hasAttribute('typewriter');
+
+        if (!config && this.getAttribute('config')) {
+            config = JSON.parse(await VideoChartElement.fetchText(this.getAttribute('config')));
+        }
+
+        if (ProjectFile.isProject(config)) {
+            data = data || config.data?.raw || null;
+            mapping = config.data?.mapping || null;
+            typewriter = typewriter || Boolean(config.typewriter);
+            await ProjectFile.loadFonts(config.assets?.fonts);
+            config = config.config;
+        }
+
+        if (!data && this.getAttribute('src')) {
+            const url = this.getAttribute('src');
+            data = new DataLoader().parseContent(await VideoChartElement.fetchText(url), url);
+        }
+
+        return { data, mapping, config: config || {}, typewriter };
+    }
+
+    /**
+     * Fetch a text file
+     * @param {string} url - File URL
+     * @returns {Promise<string>} File content
+     */
+    static async fetchText(url) {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response.text();
+    }
+
+    /**
+     * Draw the chart and build its timeline, showing the last frame
+     * @param {Object} source - {data, mapping, config, typewriter}
+     * @returns {Promise<void>}
+     */
+    async setupChart(source) {
+        const configManager = VideoRenderer.createConfig(source.config);
+        const config = configManager.get();
+        const loader = VideoRenderer.loadData(source.data, source.mapping);
+        const chartData = loader.applyTransforms(config.transforms);
+        const { width, height } = configManager.getResolution(config.resolution);
+
+        // Logos must be decoded before the first frame is laid out
+        await OverlayRenderer.loadImages(config.overlays);
+
+        this.destroyChart();
+        this.source = source;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.canvas.setAttribute('aria-label', config.title);
+
+        // Time-indexed data plays as a race, like in the editor
+        this.renderer = new ChartRenderer(this.canvas, { ...config, chartType: loader.getChartType(config.chartType) });
+        this.renderer.render(chartData);
+        this.animator = new Animator(this.renderer, config.videoDuration, null, source.typewriter);
+        this.animator.createTimeline(null, () => this.handleEnded());
+        this.animator.seek(this.animator.getDuration());
+    }
+
+    /**
+     * Fire 'ended' and start again when looping
+     */
+    handleEnded() {
+        this.dispatchEvent(new CustomEvent('ended'));
+
+        if (this.hasAttribute('loop')) {
+            this.restart();
+        }
+    }
+
+    /**
+     * Play the animation, from the start if it had finished
+     */
+    play() {
+        if (!this.animator) return;
+
+        if (this.animator.timeline.progress() === 1) {
+            this.animator.seek(0);
+        }
+        this.animator.play();
+    }
+
+    /**
+     * Pause the animation
+     */
+    pause() {
+        if (this.animator) {
+            this.animator.pause();
+        }
+    }
+
+    /**
+     * Play the animation from the start
+     */
+    restart() {
+        if (!this.animator) return;
+
+        this.animator.seek(0);
+        this.animator.play();
+    }
+
+    /**
+     * Render the chart on screen as a video file
+     * @param {Object} options - Overrides of VideoRenderer.render options (e.g. config, signal, music)
+     * @returns {Promise<Blob>} Video, GIF or ZIP of PNG frames
+     */
+    async render(options = {}) {
+        if (!this.source) {
+            throw new Error('Nessun dato da animare');
+        }
+
+        this.videoRenderer = new VideoRenderer();
+        ['progress', 'warning'].forEach(type => {
+            this.videoRenderer.addEventListener(type, (e) => {
+                this.dispatchEvent(new CustomEvent(type, { detail: e.detail }));
+            });
+        });
+
+        try {
+            return await this.videoRenderer.render({ ...this.source, ...options });
+        } finally {
+            this.videoRenderer = null;
+        }
+    }
+
+    /**
+     * Stop the render() in progress
+     */
+    cancel() {
+        if (this.videoRenderer) {
+            this.videoRenderer.cancel();
+        }
+    }
+
+    /**
+     * Release the chart on screen
+     */
+    destroyChart() {
+        if (this.animator) {
+            this.animator.destroy();
+            this.animator = null;
+        }
+
+        if (this.renderer) {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+    }
+}
@@ -1,14 +1,23 @@
 /**
  * VideoRecorder Module
- * Handles canvas recording and video generation using MediaRecorder API
+ * Handles canvas recording and video generation, frame by frame with WebCodecs
+ * or in real time with the MediaRecorder API, plus animated GIF and PNG sequence export
  */
 
+import { FrameEncoder } from './FrameEncoder.js';
+import { AudioMixer } from './AudioMixer.js';
+import { GifEncoder } from './GifEncoder.js';
+import { ZipWriter } from './ZipWriter.js';
+
 export class VideoRecorder {
     constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.options = {
             fps: 30,
+            format: 'mp4', // preferred container: 'mp4' or 'webm'
             videoBitsPerSecond: 5000000, // 5 Mbps
+            audio: null, // AudioMixer providing the soundtrack (MP4 and WebM only)
+            beforeFrame: null, // async (frameIndex) => void, awaited before each frame; throw to stop
             ...options
         };
 
@@ -17,6 +26,7 @@ export class VideoRecorder {
         this.stream = null;
         this.isRecording = false;
         this.videoBlob = null;
+        this.audioDropped = false; // the last frame-by-frame video had a soundtrack that could not be encoded
 
         // Detect best supported MIME type
         this.mimeType = this.detectMimeType();
@@ -24,15 +34,34 @@ export class VideoRecorder {
 
     /**
      * Detect the best supported MIME type for video recording
+     * Types of the preferred format come first
+     * @param {boolean} withAudio - Look for types with an audio codec
      * @returns {string} Supported MIME type
      */
-    detectMimeType() {
-        const types = [
+    detectMimeType(withAudio = false) {
+        if (!VideoRecorder.isSupported()) {
+            return '';
+        }
+
+        const webmTypes = withAudio ? [
+            'video/webm;codecs=vp9,opus',
+            'video/webm;codecs=vp8,opus',
+            'video/webm'
+        ] : [
             'video/webm;codecs=vp9',
             'video/webm;codecs=vp8',
-            'video/webm',
+            'video/webm'
+        ];
+        const mp4Types = withAudio ? [
+            'video/mp4;codecs=avc1,mp4a.40.2',
+            'video/mp4'
+        ] : [
+            'video/mp4;codecs=avc1',
             'video/mp4'
         ];
+        const types = this.options.format === 'mp4'
+            ? [...mp4Types, ...webmTypes]
+            : [...webmTypes, ...mp4Types];
 
         for (const type of types) {
             if (MediaRecorder.isTypeSupported(type)) {
@@ -48,9 +77,10 @@ export class VideoRecorder {
 
     /**
      * Start recording
+     * @param {MediaStream|null} audioStream - Soundtrack to record with the canvas (see AudioMixer.createStream)
      * @returns {Promise<void>}
      */
-    async start() {
+    async start(audioStream = null) {
         if (this.isRecording) {
             throw new Error('Recording already in progress');
         }
@@ -59,8 +89,12 @@ export class VideoRecorder {
         this.chunks = [];
         this.videoBlob = null;
 
-        // Capture stream from canvas
+        // Capture stream from canvas, with the soundtrack tracks if any
         this.stream = this.canvas.captureStream(this.options.fps);
+        if (audioStream) {
+            audioStream.getAudioTracks().forEach(track => this.stream.addTrack(track));
+        }
+        this.mimeType = this.detectMimeType(Boolean(audioStream));
 
         // Create MediaRecorder
         const recorderOptions = {
@@ -121,6 +155,148 @@ export class VideoRecorder {
         });
     }
 
+    /**
+     * Pause a real-time recording, leaving no gap in the video
+     */
+    pause() {
+        if (this.mediaRecorder?.state === 'recording') {
+            this.mediaRecorder.pause();
+        }
+    }
+
+    /**
+     * Resume a paused real-time recording
+     */
+    resume() {
+        if (this.mediaRecorder?.state === 'paused') {
+            this.mediaRecorder.resume();
+        }
+    }
+
+    /**
+     * Render the animation frame by frame and encode it
+     * Every frame is encoded at its exact timestamp, so the video has
+     * duration × fps frames regardless of how fast the machine renders.
+     * With an audio mixer, the soundtrack is rendered offline for the
+     * animation duration and cues, and encoded as the audio track.
+     * @param {Animator} animator - Animator with a timeline already created
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @returns {Promise<Blob>} Video blob
+     */
+    async recordFrames(animator, onProgress = null) {
+        if (this.isRecording) {
+            throw new Error('Recording already in progress');
+        }
+
+        this.videoBlob = null;
+        this.audioDropped = false;
+        this.isRecording = true;
+
+        const audio = this.options.audio;
+        const cues = animator.getAudioCues ? animator.getAudioCues() : [];
+        const withAudio = Boolean(audio?.hasAudio(cues));
+
+        // The soundtrack format lets the encoder pick a container that can carry it
+        const encoder = new FrameEncoder(this.canvas, {
+            fps: this.options.fps,
+            format: this.options.format,
+            videoBitsPerSecond: this.options.videoBitsPerSecond,
+            audio: withAudio ? AudioMixer.getFormat() : null
+        });
+
+        try {
+            await encoder.start();
+
+            await animator.renderFrames(this.options.fps, async (frameIndex) => {
+                await this.options.beforeFrame?.(frameIndex);
+                await encoder.addFrame(frameIndex);
+            }, onProgress);
+
+            if (withAudio) {
+                this.audioDropped = !(await encoder.encodeAudio(await audio.render(animator.getDuration(), cues)));
+            }
+
+            this.videoBlob = await encoder.finish();
+            this.mimeType = encoder.mimeType;
+
+            console.log(`Frame rendering done. Blob size: ${(this.videoBlob.size / 1024 / 1024).toFixed(2)} MB`);
+
+            return this.videoBlob;
+        } catch (error) {
+            encoder.cancel();
+            throw error;
+        } finally {
+            this.isRecording = false;
+        }
+    }
+
+    /**
+     * Render the animation frame by frame into an animated GIF
+     * @param {Animator} animator - Animator with a timeline already created
+     * @param {Object} gifOptions - {fps, loop, dither}, see GifEncoder
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @returns {Promise<Blob>} GIF blob
+     */
+    async recordGif(animator, gifOptions = {}, onProgress = null) {
+        const { width, height } = this.canvas;
+        const context = this.canvas.getContext('2d');
+        const encoder = new GifEncoder(width, height, gifOptions);
+
+        return this.recordImages(animator, encoder.options.fps, onProgress, encoder, () => {
+            encoder.addFrame(context.getImageData(0, 0, width, height));
+        });
+    }
+
+    /**
+     * Render the animation frame by frame into a ZIP of numbered PNG files
+     * @param {Animator} animator - Animator with a timeline already created
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @returns {Promise<Blob>} ZIP blob
+     */
+    async recordPngSequence(animator, onProgress = null) {
+        const zip = new ZipWriter();
+
+        return this.recordImages(animator, this.options.fps, onProgress, zip, async (frameIndex) => {
+            const blob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'));
+            const data = new Uint8Array(await blob.arrayBuffer());
+            zip.addFile(`frame-${String(frameIndex).padStart(5, '0')}.png`, data);
+        });
+    }
+
+    /**
+     * Render every frame through addFrame and store the output of writer.finish()
+     * @param {Animator} animator - Animator with a timeline already created
+     * @param {number} fps - Frames per second
+     * @param {Function} onProgress - Progress callback (percent: 0-100)
+     * @param {Object} writer - Object with finish() returning a Blob and a mimeType
+     * @param {Function} addFrame - async (frameIndex) => void, reads the canvas
+     * @returns {Promise<Blob>} Output blob
+     */
+    async recordImages(animator, fps, onProgress, writer, addFrame) {
+        if (this.isRecording) {
+            throw new Error('Recording already in progress');
+        }
+
+        this.videoBlob = null;
+        this.isRecording = true;
+
+        try {
+            await animator.renderFrames(fps, async (frameIndex) => {
+                await this.options.beforeFrame?.(frameIndex);
+                await addFrame(frameIndex);
+            }, onProgress);
+
+            this.videoBlob = writer.finish();
+            this.mimeType = writer.mimeType;
+
+            console.log(`Image export done. Blob size: ${(this.videoBlob.size / 1024 / 1024).toFixed(2)} MB`);
+
+            return this.videoBlob;
+        } finally {
+            this.isRecording = false;
+        }
+    }
+
     /**
      * Get the recorded video blob
      * @returns {Blob|null} Video blob or null if not recorded
@@ -129,6 +305,15 @@ export class VideoRecorder {
         return this.videoBlob;
     }
 
+    /**
+     * Use a video recorded earlier (e.g. restored from the saved workspace)
+     * @param {Blob} blob - Video, GIF or ZIP blob
+     */
+    setVideoBlob(blob) {
+        this.videoBlob = blob;
+        this.mimeType = blob.type;
+    }
+
     /**
      * Get video URL for preview
      * @returns {string|null} Object URL or null
@@ -153,6 +338,10 @@ export class VideoRecorder {
         let extension = 'webm';
         if (this.mimeType.includes('mp4')) {
             extension = 'mp4';
+        } else if (this.mimeType === 'image/gif') {
+            extension = 'gif';
+        } else if (this.mimeType === 'application/zip') {
+            extension = 'zip';
         }
 
         const fullFilename = filename.endsWith(`.${extension}`)
@@ -186,6 +375,14 @@ export class VideoRecorder {
         return 'MediaRecorder' in window;
     }
 
+    /**
+     * Check if frame-by-frame encoding (WebCodecs) is supported
+     * @returns {boolean} True if supported
+     */
+    static isFrameRenderingSupported() {
+        return FrameEncoder.isSupported();
+    }
+
     /**
      * Get recording status
      * @returns {boolean} True if recording
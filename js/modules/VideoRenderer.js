@@ -0,0 +1,464 @@
+/**
+ * VideoRenderer Module
+ * UI-free rendering: data and configuration in, video file out. Wires
+ * DataLoader, ChartRenderer, Animator (or SceneSequencer) and VideoRecorder
+ * the way the editor does, without touching the page.
+ *
+ * Progress is reported with 'progress' events, detail {percent, stage}:
+ *   'starting' setting up, 'frames' frame-by-frame video, 'gif' GIF encoding,
+ *   'png' PNG frames, 'recording' real-time recording, 'finalizing' writing the file
+ * A 'warning' event, detail {message}, reports a result that differs from the
+ * configuration but is still usable (e.g. a WebM instead of an MP4, a silent video).
+ * A render is stopped with cancel() or an AbortSignal; the promise then
+ * rejects with an AbortError. pause() and resume() hold it in between:
+ * frame-by-frame renders wait before the next frame, real-time recordings
+ * pause the timeline, the recorder and the soundtrack together.
+ */
+
+import { DataLoader } from './DataLoader.js';
+import { ConfigManager } from './ConfigManager.js';
+import { ChartRenderer } from './ChartRenderer.js';
+import { Animator } from './Animator.js';
+import { SceneSequencer } from './SceneSequencer.js';
+import { OverlayRenderer } from './OverlayRenderer.js';
+import { VideoRecorder } from './VideoRecorder.js';
+import { AudioMixer } from './AudioMixer.js';
+
+export class VideoRenderer extends EventTarget {
+    /**
+     * @param {Object} options - {canvas (recording canvas, created if omitted), audio (AudioMixer), debugLogger}
+     */
+    constructor(options = {}) {
+        super();
+        this.canvas = options.canvas || document.createElement('canvas');
+        this.audio = options.audio || null;
+        this.ownAudio = null; // mixer created for the music of one render, released by cleanup()
+        this.debugLogger = options.debugLogger || null;
+
+        this.renderer = null;
+        this.animator = null;
+        this.recorder = null;
+        this.controller = null;
+        this.playback = null; // {timeline, audio} of a real-time recording
+        this.pauseGate = null; // {promise, release} while paused
+    }
+
+    /**
+     * Normalize and validate chart data with DataLoader
+     * @param {Object|Array|string} data - Normalized data, raw JSON value, array of records, or JSON/CSV/TSV text
+     * @param {Object|null} mapping - Field mapping {labelKey, valueKey, periodKey}, auto-detected if omitted
+     * @returns {DataLoader} Loader holding the data
+     */
+    static loadData(data, mapping = null) {
+        const loader = new DataLoader();
+        const raw = typeof data === 'string' ? loader.parseContent(data) : data;
+
+        loader.setRawData(raw, mapping);
+
+        return loader;
+    }
+
+    /**
+     * Fill a partial configuration with the defaults
+     * @param {Object} config - Configuration overrides
+     * @returns {ConfigManager} Manager holding the full configuration
+     */
+    static createConfig(config = {}) {
+        const configManager = new ConfigManager();
+        configManager.importJSON(JSON.stringify(config));
+
+        return configManager;
+    }
+
+    /**
+     * Check whether a render is in progress
+     * @returns {boolean} True while rendering
+     */
+    isRendering() {
+        return this.controller !== null;
+    }
+
+    /**
+     * Render a video
+     * @param {Object} options - Render options:
+     *   data: chart data (see loadData), transformed with config.transforms
+     *   mapping: field mapping for raw data
+     *   config: configuration, missing keys take the defaults
+     *   scenes: scene list (see SceneSequencer), rendered instead of data
+     *   typewriter: type the title letter by letter
+     *   music: background music file (when no AudioMixer was given)
+     *   signal: AbortSignal that cancels the render
+     * @returns {Promise<Blob>} Video, GIF or ZIP of PNG frames
+     */
+    async render({ data = null, mapping = null, config = {}, scenes = [], typewriter = false, music = null, signal = null } = {}) {
+        if (this.isRendering()) {
+            throw new Error('Rendering already in progress');
+        }
+
+        if (!data && scenes.length === 0) {
+            throw new Error('Nessun dato da animare');
+        }
+
+        signal?.throwIfAborted();
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        this.controller = controller;
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        // A paused render must wake up to notice it was cancelled
+        controller.signal.addEventListener('abort', () => this.resume(), { once: true });
+
+        try {
+            const configManager = VideoRenderer.createConfig(config);
+            const resolved = configManager.get();
+            const audio = await this.getAudio(resolved.audio, music);
+
+            this.emitProgress(0, 'starting');
+            this.prepare(configManager, data, mapping, scenes, typewriter);
+
+            // Logos must be decoded before the first frame is laid out
+            await OverlayRenderer.loadImages([
+                ...resolved.overlays,
+                ...scenes.flatMap(scene => scene.config?.overlays || [])
+            ]);
+            controller.signal.throwIfAborted();
+
+            this.recorder = new VideoRecorder(this.canvas, {
+                fps: resolved.fps,
+                format: resolved.videoFormat,
+                audio,
+                beforeFrame: async () => {
+                    if (this.pauseGate) {
+                        await this.pauseGate.promise;
+                    }
+                    controller.signal.throwIfAborted();
+                }
+            });
+
+            if (resolved.videoFormat === 'gif' || resolved.videoFormat === 'png') {
+                return await this.recordImages(resolved);
+            }
+
+            if (this.useFrameRendering(resolved)) {
+                return await this.recordFrames();
+            }
+
+            return await this.recordRealtime(audio, controller.signal);
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            this.cleanup();
+        }
+    }
+
+    /**
+     * Stop the render in progress
+     */
+    cancel() {
+        if (this.controller) {
+            this.controller.abort(new DOMException('Generazione annullata', 'AbortError'));
+        }
+    }
+
+    /**
+     * Check whether the render in progress is paused
+     * @returns {boolean} True while paused
+     */
+    isPaused() {
+        return this.pauseGate !== null;
+    }
+
+    /**
+     * Pause the render in progress
+     */
+    pause() {
+        if (!this.isRendering() || this.isPaused()) {
+            return;
+        }
+
+        let release;
+        const promise = new Promise(resolve => {
+            release = resolve;
+        });
+        this.pauseGate = { promise, release };
+
+        if (this.playback) {
+            this.playback.timeline.pause();
+            this.recorder.pause();
+            this.playback.audio?.pause();
+        }
+    }
+
+    /**
+     * Resume a paused render
+     */
+    resume() {
+        if (!this.isPaused()) {
+            return;
+        }
+
+        this.pauseGate.release();
+        this.pauseGate = null;
+
+        if (this.playback && !this.controller?.signal.aborted) {
+            this.playback.audio?.resume();
+            this.recorder.resume();
+            this.playback.timeline.play();
+        }
+    }
+
+    /**
+     * Get the mixer of the soundtrack
+     * Without a mixer in the options, one is created for this render only.
+     * @param {Object} settings - Audio settings of the configuration
+     * @param {File|Blob|null} music - Background music file
+     * @returns {Promise<AudioMixer|null>} Mixer, or null without sound
+     */
+    async getAudio(settings, music) {
+        if (this.audio) {
+            return this.audio;
+        }
+
+        if (!AudioMixer.isSupported() || (!music && !settings.pops)) {
+            return null;
+        }
+
+        const mixer = new AudioMixer(settings);
+        this.ownAudio = mixer;
+        if (music) {
+            await mixer.loadMusic(music);
+        }
+
+        return mixer;
+    }
+
+    /**
+     * Size the canvas and build the chart and its animator
+     * @param {ConfigManager} configManager - Full configuration
+     * @param {Object|Array|string} data - Chart data
+     * @param {Object|null} mapping - Field mapping
+     * @param {Array<Object>} scenes - Scene list
+     * @param {boolean} typewriter - Typewriter title effect
+     */
+    prepare(configManager, data, mapping, scenes, typewriter) {
+        const config = configManager.get();
+        const resolution = configManager.getResolution(config.resolution);
+
+        this.canvas.width = resolution.width;
+        this.canvas.height = resolution.height;
+
+        // With a scene list the sequencer plays every scene, otherwise one chart
+        if (scenes.length > 0) {
+            this.animator = new SceneSequencer(this.canvas, scenes, config, this.debugLogger);
+            return;
+        }
+
+        const loader = VideoRenderer.loadData(data, mapping);
+        const chartData = loader.applyTransforms(config.transforms);
+
+        // Time-indexed data plays as a race, like in the editor
+        this.renderer = new ChartRenderer(this.canvas, { ...config, chartType: loader.getChartType(config.chartType) });
+        this.renderer.render(chartData);
+        this.animator = new Animator(this.renderer, config.videoDuration, this.debugLogger, typewriter);
+    }
+
+    /**
+     * Check whether the video should be rendered frame by frame
+     * @param {Object} config - Full configuration
+     * @returns {boolean} True for frame-by-frame rendering
+     */
+    useFrameRendering(config) {
+        if (config.renderMode !== 'offline') {
+            return false;
+        }
+
+        if (!VideoRecorder.isFrameRenderingSupported()) {
+            console.warn('WebCodecs not supported, falling back to real-time recording');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Render the animation frame by frame and encode each frame at its exact time
+     * @returns {Promise<Blob>} Video
+     */
+    async recordFrames() {
+        this.animator.createTimeline();
+
+        const blob = await this.recorder.recordFrames(this.animator, (progress) => {
+            this.emitProgress(progress * 0.95, 'frames');
+        });
+
+        if (this.debugLogger?.isEnabled()) {
+            this.debugLogger.log('ANIMATION', 'Frame rendering complete');
+        }
+
+        this.emitProgress(100, 'finalizing');
+        this.checkFrameOutput();
+
+        return blob;
+    }
+
+    /**
+     * Warn when the frame-by-frame video is not what was asked for
+     * Browsers without an AAC encoder get a WebM to keep the soundtrack; without
+     * any audio encoder the video is silent.
+     */
+    checkFrameOutput() {
+        if (this.recorder.audioDropped) {
+            this.emitWarning('Questo browser non sa codificare l\'audio: il video è senza suono. Prova il rendering in tempo reale.');
+        }
+
+        if (this.recorder.options.format === 'mp4' && !this.recorder.mimeType.includes('mp4')) {
+            this.emitWarning('Questo browser non può creare un MP4 con questo contenuto: il video è in WebM.');
+        }
+    }
+
+    /**
+     * Render the animation frame by frame into a GIF or a ZIP of PNG frames
+     * @param {Object} config - Full configuration
+     * @returns {Promise<Blob>} GIF or ZIP
+     */
+    async recordImages(config) {
+        const format = config.videoFormat;
+        const onProgress = (progress) => this.emitProgress(progress * 0.95, format);
+
+        this.animator.createTimeline();
+
+        const blob = format === 'gif'
+            ? await this.recorder.recordGif(this.animator, {
+                fps: config.gifFps,
+                loop: config.gifLoop,
+                dither: config.gifDither
+            }, onProgress)
+            : await this.recorder.recordPngSequence(this.animator, onProgress);
+
+        this.emitProgress(100, 'finalizing');
+
+        return blob;
+    }
+
+    /**
+     * Play the animation in real time while MediaRecorder captures the canvas
+     * @param {AudioMixer|null} audio - Soundtrack mixer
+     * @param {AbortSignal} signal - Cancels the recording
+     * @returns {Promise<Blob>} Video
+     */
+    async recordRealtime(audio, signal) {
+        let finish;
+        let fail;
+        const done = new Promise((resolve, reject) => {
+            finish = resolve;
+            fail = reject;
+        });
+
+        // Create the animation timeline (paused until play)
+        const timeline = this.animator.createTimeline(
+            (progress) => this.emitProgress(10 + (progress * 0.8), 'recording'),
+            async () => {
+                try {
+                    this.emitProgress(90, 'finalizing');
+
+                    if (this.debugLogger?.isEnabled()) {
+                        this.debugLogger.log('ANIMATION', 'Animation complete, stopping recorder');
+                    }
+
+                    const blob = await this.recorder.stop();
+                    audio?.stop();
+
+                    this.emitProgress(100, 'finalizing');
+                    finish(blob);
+                } catch (error) {
+                    fail(error);
+                }
+            }
+        );
+
+        const onAbort = () => {
+            timeline.pause();
+            audio?.stop();
+            if (this.recorder.isRecordingActive()) {
+                this.recorder.stop().catch(() => {});
+            }
+            fail(signal.reason);
+        };
+
+        try {
+            // The soundtrack plays into the recorded stream
+            const cues = this.animator.getAudioCues();
+            const audioStream = audio?.hasAudio(cues) ? await audio.createStream() : null;
+
+            await this.recorder.start(audioStream);
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            if (signal.aborted) {
+                onAbort(); // cancelled while the recorder was starting
+            } else {
+                this.emitProgress(10, 'recording');
+
+                // Play timeline, with the soundtrack starting on the same tick
+                if (audioStream) {
+                    audio.play(this.animator.getDuration(), cues);
+                }
+                this.playback = { timeline, audio: audioStream ? audio : null };
+
+                if (this.isPaused()) {
+                    // Paused while the recorder was starting: hold everything until resume()
+                    this.recorder.pause();
+                    this.playback.audio?.pause();
+                } else {
+                    timeline.play();
+                }
+            }
+
+            return await done;
+        } finally {
+            signal.removeEventListener('abort', onAbort);
+            this.playback = null;
+        }
+    }
+
+    /**
+     * Dispatch a progress event
+     * @param {number} percent - Progress (0-100)
+     * @param {string} stage - Current stage (see module comment)
+     */
+    emitProgress(percent, stage) {
+        this.dispatchEvent(new CustomEvent('progress', { detail: { percent, stage } }));
+    }
+
+    /**
+     * Dispatch a warning event
+     * @param {string} message - Warning for the user
+     */
+    emitWarning(message) {
+        console.warn(message);
+        this.dispatchEvent(new CustomEvent('warning', { detail: { message } }));
+    }
+
+    /**
+     * Release the chart, animator and own soundtrack mixer of the last render
+     */
+    cleanup() {
+        if (this.renderer) {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+
+        if (this.animator) {
+            this.animator.destroy();
+            this.animator = null;
+        }
+
+        if (this.ownAudio) {
+            this.ownAudio.stop();
+            this.ownAudio.clearMusic();
+            this.ownAudio = null;
+        }
+
+        this.resume();
+        this.controller = null;
+    }
+}
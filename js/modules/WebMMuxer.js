@@ -0,0 +1,367 @@
+/**
+ * WebMMuxer Module
+ * Writes encoded video chunks (WebCodecs) into a WebM (Matroska) container,
+ * optionally with an Opus audio track
+ */
+
+const EBML_IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    FlagLacing: 0x9C,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    TrackType: 0x83,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * Encode an unsigned integer big-endian
+ * @param {number} value - Value to encode
+ * @param {number} length - Byte length, minimal if omitted
+ * @returns {Uint8Array} Encoded bytes
+ */
+function encodeUint(value, length = 0) {
+    const bytes = [];
+    let remaining = value;
+    do {
+        bytes.unshift(remaining % 256);
+        remaining = Math.floor(remaining / 256);
+    } while (remaining > 0);
+
+    while (bytes.length < length) {
+        bytes.unshift(0);
+    }
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Encode an element size as EBML variable-length integer
+ * @param {number} size - Payload size in bytes
+ * @returns {Uint8Array} Encoded size
+ */
+function encodeSize(size) {
+    let length = 1;
+    while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+        length++;
+    }
+
+    const bytes = encodeUint(size, length);
+    bytes[0] |= 1 << (8 - length);
+    return bytes;
+}
+
+/**
+ * Build an EBML element
+ * @param {number} id - Element ID (with its marker bits)
+ * @param {Uint8Array|Array<Uint8Array>} content - Payload or child elements
+ * @returns {Uint8Array} Encoded element
+ */
+function element(id, content) {
+    const payload = Array.isArray(content) ? concat(content) : content;
+    return concat([encodeUint(id), encodeSize(payload.length), payload]);
+}
+
+/**
+ * Build an unsigned integer element
+ */
+function uintElement(id, value, length = 0) {
+    return element(id, encodeUint(value, length));
+}
+
+/**
+ * Build a float64 element
+ */
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, bytes);
+}
+
+/**
+ * Build a string element
+ */
+function stringElement(id, value) {
+    return element(id, new TextEncoder().encode(value));
+}
+
+export class WebMMuxer {
+    /**
+     * @param {Object} options - {width, height, codecId ('V_VP9' | 'V_VP8'), fps}
+     */
+    constructor(options) {
+        this.options = {
+            fps: 30,
+            ...options
+        };
+        this.chunks = [];
+        this.audio = null;
+        this.audioChunks = [];
+        this.mimeType = 'video/webm';
+    }
+
+    /**
+     * Add an encoded video chunk
+     * @param {EncodedVideoChunk} chunk - Chunk from VideoEncoder output
+     */
+    addVideoChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        this.chunks.push({
+            data,
+            timestamp: chunk.timestamp, // microseconds
+            keyFrame: chunk.type === 'key'
+        });
+    }
+
+    /**
+     * Declare the audio track, before adding audio chunks
+     * @param {Object} audio - {sampleRate, numberOfChannels} of the Opus stream
+     */
+    addAudioTrack(audio) {
+        this.audio = { ...audio, codecPrivate: null };
+    }
+
+    /**
+     * Add an encoded audio chunk
+     * @param {EncodedAudioChunk} chunk - Chunk from AudioEncoder output (Opus)
+     * @param {Object} metadata - Output metadata, may carry the OpusHead as description
+     */
+    addAudioChunk(chunk, metadata = {}) {
+        const description = metadata.decoderConfig?.description;
+        if (description && !this.audio.codecPrivate) {
+            this.audio.codecPrivate = ArrayBuffer.isView(description)
+                ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength).slice()
+                : new Uint8Array(description).slice();
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        this.audioChunks.push({
+            data,
+            timestamp: chunk.timestamp // microseconds
+        });
+    }
+
+    /**
+     * Build the OpusHead identification header used as codec private data
+     * Used when the encoder does not provide one.
+     * @returns {Uint8Array} OpusHead
+     */
+    buildOpusHead() {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set([...'OpusHead'].map(char => char.charCodeAt(0)));
+        head[8] = 1; // version
+        head[9] = this.audio.numberOfChannels;
+        view.setUint16(10, 0, true); // pre-skip
+        view.setUint32(12, this.audio.sampleRate, true);
+        view.setInt16(16, 0, true); // output gain
+        head[18] = 0; // channel mapping family
+        return head;
+    }
+
+    /**
+     * Write the WebM file
+     * @returns {Blob} WebM video
+     */
+    finalize() {
+        if (this.chunks.length === 0) {
+            throw new Error('No video frames to mux');
+        }
+
+        const frameDuration = 1000 / this.options.fps;
+        const lastTimestamp = this.chunks[this.chunks.length - 1].timestamp / 1000;
+
+        const info = element(EBML_IDS.Info, [
+            uintElement(EBML_IDS.TimecodeScale, 1000000), // 1 ms
+            floatElement(EBML_IDS.Duration, lastTimestamp + frameDuration),
+            stringElement(EBML_IDS.MuxingApp, 'VideoCharts Web'),
+            stringElement(EBML_IDS.WritingApp, 'VideoCharts Web')
+        ]);
+
+        const tracks = element(EBML_IDS.Tracks, [
+            element(EBML_IDS.TrackEntry, [
+                uintElement(EBML_IDS.TrackNumber, 1),
+                uintElement(EBML_IDS.TrackUID, 1),
+                uintElement(EBML_IDS.FlagLacing, 0),
+                stringElement(EBML_IDS.CodecID, this.options.codecId),
+                uintElement(EBML_IDS.TrackType, 1), // video
+                uintElement(EBML_IDS.DefaultDuration, Math.round(1e9 / this.options.fps)),
+                element(EBML_IDS.Video, [
+                    uintElement(EBML_IDS.PixelWidth, this.options.width),
+                    uintElement(EBML_IDS.PixelHeight, this.options.height)
+                ])
+            ]),
+            ...(this.audio ? [element(EBML_IDS.TrackEntry, [
+                uintElement(EBML_IDS.TrackNumber, 2),
+                uintElement(EBML_IDS.TrackUID, 2),
+                uintElement(EBML_IDS.FlagLacing, 0),
+                stringElement(EBML_IDS.CodecID, 'A_OPUS'),
+                element(EBML_IDS.CodecPrivate, this.audio.codecPrivate || this.buildOpusHead()),
+                uintElement(EBML_IDS.TrackType, 2), // audio
+                element(EBML_IDS.Audio, [
+                    floatElement(EBML_IDS.SamplingFrequency, this.audio.sampleRate),
+                    uintElement(EBML_IDS.Channels, this.audio.numberOfChannels)
+                ])
+            ])] : [])
+        ]);
+
+        const clusters = this.buildClusters();
+
+        // SeekHead positions use a fixed width so its size is known before the layout
+        const buildSeekHead = (positions) => element(EBML_IDS.SeekHead, positions.map(([id, position]) =>
+            element(EBML_IDS.Seek, [
+                element(EBML_IDS.SeekID, encodeUint(id)),
+                uintElement(EBML_IDS.SeekPosition, position, 8)
+            ])
+        ));
+
+        const seekHeadSize = buildSeekHead([[EBML_IDS.Info, 0], [EBML_IDS.Tracks, 0], [EBML_IDS.Cues, 0]]).length;
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + info.length;
+        const clustersPosition = tracksPosition + tracks.length;
+
+        let offset = clustersPosition;
+        const cuePoints = clusters.map(cluster => {
+            const cuePoint = element(EBML_IDS.CuePoint, [
+                uintElement(EBML_IDS.CueTime, cluster.timecode),
+                element(EBML_IDS.CueTrackPositions, [
+                    uintElement(EBML_IDS.CueTrack, 1),
+                    uintElement(EBML_IDS.CueClusterPosition, offset)
+                ])
+            ]);
+            offset += cluster.bytes.length;
+            return cuePoint;
+        });
+
+        const cues = element(EBML_IDS.Cues, cuePoints);
+        const seekHead = buildSeekHead([
+            [EBML_IDS.Info, infoPosition],
+            [EBML_IDS.Tracks, tracksPosition],
+            [EBML_IDS.Cues, offset]
+        ]);
+
+        const header = element(EBML_IDS.EBML, [
+            uintElement(EBML_IDS.EBMLVersion, 1),
+            uintElement(EBML_IDS.EBMLReadVersion, 1),
+            uintElement(EBML_IDS.EBMLMaxIDLength, 4),
+            uintElement(EBML_IDS.EBMLMaxSizeLength, 8),
+            stringElement(EBML_IDS.DocType, 'webm'),
+            uintElement(EBML_IDS.DocTypeVersion, 4),
+            uintElement(EBML_IDS.DocTypeReadVersion, 2)
+        ]);
+
+        const segment = element(EBML_IDS.Segment, [
+            seekHead,
+            info,
+            tracks,
+            ...clusters.map(cluster => cluster.bytes),
+            cues
+        ]);
+
+        return new Blob([header, segment], { type: this.mimeType });
+    }
+
+    /**
+     * Group chunks into clusters, starting a new cluster at every video key frame
+     * Audio blocks are interleaved with the video blocks in timestamp order.
+     * @returns {Array<Object>} Clusters {timecode (ms), bytes}
+     */
+    buildClusters() {
+        const clusters = [];
+        let current = null;
+
+        const closeCluster = () => {
+            if (current) {
+                clusters.push({
+                    timecode: current.timecode,
+                    bytes: element(EBML_IDS.Cluster, [
+                        uintElement(EBML_IDS.Timecode, current.timecode),
+                        ...current.blocks
+                    ])
+                });
+            }
+        };
+
+        const blocks = [
+            ...this.chunks.map(chunk => ({ ...chunk, track: 1 })),
+            ...this.audioChunks.map(chunk => ({ ...chunk, track: 2, keyFrame: true }))
+        ].sort((a, b) => a.timestamp - b.timestamp || a.track - b.track);
+
+        blocks.forEach(chunk => {
+            const timecode = Math.round(chunk.timestamp / 1000);
+
+            // Block timecodes are signed 16-bit offsets from the cluster timecode
+            const isVideoKeyFrame = chunk.track === 1 && chunk.keyFrame;
+            if (!current || isVideoKeyFrame || timecode - current.timecode > 32000) {
+                closeCluster();
+                current = { timecode, blocks: [] };
+            }
+
+            const blockHeader = new Uint8Array(4);
+            const view = new DataView(blockHeader.buffer);
+            blockHeader[0] = 0x80 | chunk.track; // track number as vint
+            view.setInt16(1, timecode - current.timecode);
+            blockHeader[3] = chunk.keyFrame ? 0x80 : 0x00;
+
+            current.blocks.push(element(EBML_IDS.SimpleBlock, [blockHeader, chunk.data]));
+        });
+
+        closeCluster();
+
+        return clusters;
+    }
+}
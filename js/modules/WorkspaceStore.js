@@ -0,0 +1,206 @@
+/**
+ * WorkspaceStore Module
+ * Opt-in persistence of the editor in IndexedDB: the current workspace
+ * (project, music file and last generated video) and a list of recent
+ * projects with thumbnails
+ *
+ * Nothing is written until the user enables it; the choice is kept in
+ * localStorage, so a disabled app never opens the database: open() refuses,
+ * also for a save that started before disable(). disable() deletes the
+ * database, going back to a stateless app.
+ *
+ * Records:
+ *   workspace: { key: 'current', id, project, music (File|null), video (Blob|null), savedAt }
+ *   projects:  { id, title, thumbnail (data URL), project, music (File|null), savedAt }
+ * project is the object built by ProjectFile.create().
+ */
+
+const DB_NAME = 'videocharts';
+const DB_VERSION = 1;
+const ENABLED_KEY = 'videocharts.workspace';
+const MAX_RECENT = 8;
+
+export class WorkspaceStore {
+    constructor() {
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB and localStorage are available
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        try {
+            return typeof indexedDB !== 'undefined' && typeof localStorage !== 'undefined';
+        } catch (error) {
+            return false; // storage blocked by the browser settings
+        }
+    }
+
+    /**
+     * Create the id of a new recent project
+     * @returns {string} Unique id
+     */
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Check whether the user enabled persistence
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return WorkspaceStore.isSupported() && localStorage.getItem(ENABLED_KEY) === 'on';
+    }
+
+    /**
+     * Enable persistence and open the database
+     * @returns {Promise<void>}
+     */
+    async enable() {
+        localStorage.setItem(ENABLED_KEY, 'on');
+        await this.open();
+    }
+
+    /**
+     * Disable persistence and delete everything stored
+     * @returns {Promise<void>}
+     */
+    async disable() {
+        localStorage.removeItem(ENABLED_KEY);
+
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(DB_NAME);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => resolve(); // deleted once other tabs close it
+        });
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase>} Database
+     * @throws {Error} If persistence is disabled
+     */
+    async open() {
+        if (!this.isEnabled()) {
+            throw new Error('Salvataggio locale disattivato');
+        }
+
+        if (this.db) {
+            return this.db;
+        }
+
+        const db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('workspace', { keyPath: 'key' });
+                db.createObjectStore('projects', { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Disabled while opening: let disable() delete the database
+        if (!this.isEnabled()) {
+            db.close();
+            throw new Error('Salvataggio locale disattivato');
+        }
+
+        this.db = db;
+        return this.db;
+    }
+
+    /**
+     * Run one request in a transaction and wait for the transaction to complete
+     * @param {string} storeName - 'workspace' or 'projects'
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(storeName, mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Salvataggio annullato'));
+        });
+    }
+
+    /**
+     * Save the current workspace
+     * @param {Object} workspace - {id, project, music, video}
+     * @returns {Promise<void>}
+     */
+    async saveWorkspace(workspace) {
+        await this.run('workspace', 'readwrite', store => store.put({
+            ...workspace,
+            key: 'current',
+            savedAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Load the saved workspace
+     * @returns {Promise<Object|null>} {id, project, music, video, savedAt} or null
+     */
+    async loadWorkspace() {
+        return (await this.run('workspace', 'readonly', store => store.get('current'))) || null;
+    }
+
+    /**
+     * Add or update a recent project, keeping the most recent MAX_RECENT
+     * @param {Object} entry - {id, title, thumbnail, project, music}
+     * @returns {Promise<void>}
+     */
+    async saveRecent(entry) {
+        await this.run('projects', 'readwrite', store => store.put({
+            ...entry,
+            savedAt: new Date().toISOString()
+        }));
+
+        const stale = (await this.getRecent()).slice(MAX_RECENT);
+        for (const { id } of stale) {
+            await this.removeRecent(id);
+        }
+    }
+
+    /**
+     * Get the recent projects, newest first
+     * @returns {Promise<Array<Object>>} Recent projects
+     */
+    async getRecent() {
+        const entries = await this.run('projects', 'readonly', store => store.getAll());
+
+        return entries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Get one recent project
+     * @param {string} id - Project id
+     * @returns {Promise<Object|null>} Recent project or null
+     */
+    async getRecentProject(id) {
+        return (await this.run('projects', 'readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * Remove a recent project
+     * @param {string} id - Project id
+     * @returns {Promise<void>}
+     */
+    async removeRecent(id) {
+        await this.run('projects', 'readwrite', store => store.delete(id));
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * ZipWriter Module
+ * Builds an uncompressed (stored) ZIP archive in memory
+ * PNG frames are already compressed, so deflating them again gains little
+ */
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a byte array (IEEE polynomial)
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Write little-endian fields
+ * @param {Array<Array<number>>} fields - [value, byteLength] pairs
+ * @returns {Uint8Array} Encoded fields
+ */
+function littleEndian(fields) {
+    const bytes = new Uint8Array(fields.reduce((sum, [, length]) => sum + length, 0));
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    fields.forEach(([value, length]) => {
+        if (length === 2) {
+            view.setUint16(offset, value, true);
+        } else {
+            view.setUint32(offset, value, true);
+        }
+        offset += length;
+    });
+    return bytes;
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.mimeType = 'application/zip';
+
+        // DOS date/time of the archive creation
+        const now = new Date();
+        this.dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this.dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path inside the archive (ASCII)
+     * @param {Uint8Array} data - File contents
+     */
+    addFile(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(data);
+
+        const localHeader = littleEndian([
+            [0x04034B50, 4], // local file header signature
+            [20, 2], // version needed
+            [0, 2], // flags
+            [0, 2], // method: stored
+            [this.dosTime, 2],
+            [this.dosDate, 2],
+            [crc, 4],
+            [data.length, 4], // compressed size
+            [data.length, 4], // uncompressed size
+            [nameBytes.length, 2],
+            [0, 2] // extra field length
+        ]);
+
+        this.entries.push({ nameBytes, crc, size: data.length, offset: this.offset });
+        this.parts.push(localHeader, nameBytes, data);
+        this.offset += localHeader.length + nameBytes.length + data.length;
+    }
+
+    /**
+     * Write the central directory
+     * @returns {Blob} ZIP archive
+     */
+    finish() {
+        const directory = [];
+        let directorySize = 0;
+
+        this.entries.forEach(entry => {
+            const header = littleEndian([
+                [0x02014B50, 4], // central directory signature
+                [20, 2], // version made by
+                [20, 2], // version needed
+                [0, 2], // flags
+                [0, 2], // method: stored
+                [this.dosTime, 2],
+                [this.dosDate, 2],
+                [entry.crc, 4],
+                [entry.size, 4],
+                [entry.size, 4],
+                [entry.nameBytes.length, 2],
+                [0, 2], // extra field length
+                [0, 2], // comment length
+                [0, 2], // disk number
+                [0, 2], // internal attributes
+                [0, 4], // external attributes
+                [entry.offset, 4]
+            ]);
+            directory.push(header, entry.nameBytes);
+            directorySize += header.length + entry.nameBytes.length;
+        });
+
+        const end = littleEndian([
+            [0x06054B50, 4], // end of central directory signature
+            [0, 2], // disk number
+            [0, 2], // disk with central directory
+            [this.entries.length, 2],
+            [this.entries.length, 2],
+            [directorySize, 4],
+            [this.offset, 4],
+            [0, 2] // comment length
+        ]);
+
+        return new Blob([...this.parts, ...directory, end], { type: this.mimeType });
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * VideoCharts embedding API
+ * Renders chart videos from another application, with no editor UI:
+ *
+ *   import { renderVideo } from './js/videocharts.js';
+ *   const blob = await renderVideo({ data, config, onProgress, signal });
+ *
+ * Importing this module also defines the <video-chart> element (see VideoChartElement).
+ * Chart.js and GSAP must be loaded first, as in index.html (lib/chart.min.js, lib/gsap.min.js).
+ */
+
+import { VideoRenderer } from './modules/VideoRenderer.js';
+import { VideoChartElement } from './modules/VideoChartElement.js';
+
+export { VideoRenderer, VideoChartElement };
+
+/**
+ * Render a chart video
+ * @param {Object} options - Options of VideoRenderer.render (data, mapping, config, scenes,
+ *   typewriter, music, signal), plus onProgress: ({percent, stage}) => void and
+ *   onWarning: ({message}) => void (e.g. the browser could not encode the soundtrack)
+ * @returns {Promise<Blob>} Video, GIF or ZIP of PNG frames, as set by config.videoFormat
+ */
+export function renderVideo({ onProgress = null, onWarning = null, ...options } = {}) {
+    const renderer = new VideoRenderer();
+
+    if (onProgress) {
+        renderer.addEventListener('progress', (e) => onProgress(e.detail));
+    }
+
+    if (onWarning) {
+        renderer.addEventListener('warning', (e) => onWarning(e.detail));
+    }
+
+    return renderer.render(options);
+}
+
+if (!customElements.get('video-chart')) {
+    customElements.define('video-chart', VideoChartElement);
+}
@@ -0,0 +1,99 @@
+/**
+ * VideoCharts Web service worker
+ * Precaches every file the app needs, so it starts and works offline
+ *
+ * Files are served cache-first from the cache of the current VERSION.
+ * To ship changes, bump VERSION: the new worker downloads the whole list
+ * into a new cache, takes over, and deletes the caches of older versions.
+ * Files added to the app must be added to PRECACHE too.
+ */
+
+const VERSION = 'v22';
+const CACHE_PREFIX = 'videocharts-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/main.css',
+    'css/controls.css',
+    'css/chart-preview.css',
+    'css/debug.css',
+    'js/app.js',
+    'js/videocharts.js',
+    'js/modules/Animator.js',
+    'js/modules/AudioMixer.js',
+    'js/modules/ChartRenderer.js',
+    'js/modules/ConfigManager.js',
+    'js/modules/DataLoader.js',
+    'js/modules/DebugLogger.js',
+    'js/modules/FrameEncoder.js',
+    'js/modules/GifEncoder.js',
+    'js/modules/MP4Muxer.js',
+    'js/modules/OverlayRenderer.js',
+    'js/modules/PreviewPlayer.js',
+    'js/modules/ProjectFile.js',
+    'js/modules/SceneSequencer.js',
+    'js/modules/VideoChartElement.js',
+    'js/modules/VideoRecorder.js',
+    'js/modules/VideoRenderer.js',
+    'js/modules/WebMMuxer.js',
+    'js/modules/WorkspaceStore.js',
+    'js/modules/ZipWriter.js',
+    'lib/chart.min.js',
+    'lib/gsap.min.js',
+    'assets/fonts/fonts.css',
+    'assets/fonts/xkcd-script.ttf',
+    'assets/examples/video-data.json',
+    'assets/examples/race-data.json',
+    'assets/icons/icon.svg',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // Bypass the HTTP cache, so a new version never stores stale files
+        await cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+        console.log(`VideoCharts ${VERSION} ready for offline use`);
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+
+        try {
+            return await fetch(request);
+        } catch (error) {
+            // Offline: any page of the app opens the cached app shell
+            if (request.mode === 'navigate') {
+                return cache.match('index.html');
+            }
+            throw error;
+        }
+    })());
+});